@@ -0,0 +1,140 @@
+'use strict';
+
+/**
+ * Extraction of the birth year of iCal events
+ *
+ * Strategies are tried in the configured order - the first valid year wins:
+ *
+ * - description: the description is a number (e.g. "1984")
+ * - regex: regular expression on summary and description with named group "year" (e.g. "Born (?<year>\d{4})")
+ * - dtstart: year of DTSTART of the recurring event
+ * - property: value of a (custom) property (e.g. X-BIRTHYEAR)
+ *
+ * @typedef {'description' | 'regex' | 'dtstart' | 'property'} YearStrategyType
+ * @typedef {{ type: YearStrategyType, regex?: RegExp, property?: string }} YearStrategy
+ */
+
+/** @type {YearStrategyType[]} */
+const YEAR_STRATEGY_TYPES = ['description', 'regex', 'dtstart', 'property'];
+
+/**
+ * @param {Array<{ active?: boolean, strategy?: string, value?: string }>} rows configuration table
+ * @returns {{ strategies: YearStrategy[], errors: string[] }}
+ */
+function createYearStrategies(rows) {
+    /** @type {YearStrategy[]} */
+    const strategies = [];
+    const errors = [];
+
+    for (const row of Array.isArray(rows) ? rows : []) {
+        if (row.active === false) {
+            continue;
+        }
+
+        const type = /** @type {YearStrategyType} */ (row.strategy);
+        const value = String(row.value ?? '').trim();
+
+        if (!YEAR_STRATEGY_TYPES.includes(type)) {
+            errors.push(`unknown strategy "${row.strategy}"`);
+        } else if (type === 'regex') {
+            try {
+                strategies.push({ type, regex: new RegExp(value, 'i') });
+            } catch (err) {
+                errors.push(`invalid regular expression "${value}": ${err.message}`);
+            }
+        } else if (type === 'property') {
+            if (value) {
+                strategies.push({ type, property: value.toLowerCase() });
+            } else {
+                errors.push('property name is missing');
+            }
+        } else {
+            strategies.push({ type });
+        }
+    }
+
+    return { strategies, errors };
+}
+
+/**
+ * @param {any} value
+ * @returns {number} NaN if the value is not a valid year
+ */
+function parseYear(value) {
+    const str = String(value ?? '').trim();
+    return /^\d{1,4}$/.test(str) && parseInt(str) > 0 ? parseInt(str) : NaN;
+}
+
+/**
+ * @param {RegExp} regex
+ * @param {string} str
+ * @returns {number}
+ */
+function matchYear(regex, str) {
+    const match = regex.exec(str);
+
+    if (!match) {
+        return NaN;
+    }
+
+    return parseYear(match.groups?.year ?? match[1] ?? match[0]);
+}
+
+/**
+ * @param {any} event ICAL.Event
+ * @param {YearStrategy[]} strategies
+ * @param {number} maxYear years in the future are ignored
+ * @returns {{ year: number, strategy: YearStrategyType | null }} year is NaN if no strategy matches
+ */
+function extractBirthYear(event, strategies, maxYear) {
+    const summary = String(event.summary ?? '');
+    const description = String(event.description ?? '');
+
+    for (const strategy of strategies) {
+        let year = NaN;
+
+        if (strategy.type === 'description') {
+            year = parseYear(description);
+        } else if (strategy.type === 'regex' && strategy.regex) {
+            year = matchYear(strategy.regex, summary);
+            if (isNaN(year)) {
+                year = matchYear(strategy.regex, description);
+            }
+        } else if (strategy.type === 'dtstart') {
+            year = event.startDate && event.isRecurring() ? parseYear(event.startDate.year) : NaN;
+        } else if (strategy.type === 'property' && strategy.property) {
+            year = parseYear(event.component.getFirstPropertyValue(strategy.property));
+        }
+
+        if (!isNaN(year) && year <= maxYear) {
+            return { year, strategy: strategy.type };
+        }
+    }
+
+    return { year: NaN, strategy: null };
+}
+
+/**
+ * Removes all matches of the regular expression from the name (e.g. "Max (1984)" -> "Max")
+ *
+ * @param {string} name
+ * @param {RegExp | null} regex
+ * @returns {string}
+ */
+function cleanName(name, regex) {
+    if (!regex) {
+        return name;
+    }
+
+    return name
+        .replace(new RegExp(regex.source, regex.flags.includes('g') ? regex.flags : `${regex.flags}g`), '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+module.exports = {
+    YEAR_STRATEGY_TYPES,
+    createYearStrategies,
+    extractBirthYear,
+    cleanName,
+};
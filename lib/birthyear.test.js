@@ -0,0 +1,79 @@
+'use strict';
+
+const { expect } = require('chai');
+const ICAL = require('ical.js');
+const { createYearStrategies, extractBirthYear, cleanName } = require('./birthyear');
+
+const createEvent = (properties) => {
+    const ics = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'BEGIN:VEVENT', 'UID:test', ...properties, 'END:VEVENT', 'END:VCALENDAR'].join('\r\n');
+    const comp = new ICAL.Component(ICAL.parse(ics));
+
+    return new ICAL.Event(comp.getFirstSubcomponent('vevent'));
+};
+
+describe('birthyear', () => {
+    const { strategies } = createYearStrategies([
+        { active: true, strategy: 'description' },
+        { active: true, strategy: 'regex', value: 'born (?<year>\\d{4})' },
+        { active: true, strategy: 'regex', value: '\\((\\d{4})\\)' },
+        { active: true, strategy: 'property', value: 'X-BIRTHYEAR' },
+        { active: true, strategy: 'dtstart' },
+    ]);
+
+    describe('createYearStrategies', () => {
+        it('should skip inactive and report invalid strategies', () => {
+            const result = createYearStrategies([
+                { active: false, strategy: 'description' },
+                { active: true, strategy: 'regex', value: '(' },
+                { active: true, strategy: 'property', value: '' },
+                { active: true, strategy: 'unknown' },
+            ]);
+
+            expect(result.strategies).to.deep.equal([]);
+            expect(result.errors).to.have.length(3);
+        });
+    });
+
+    describe('extractBirthYear', () => {
+        it('should use the numeric description', () => {
+            const event = createEvent(['DTSTART;VALUE=DATE:20200312', 'RRULE:FREQ=YEARLY', 'SUMMARY:Max', 'DESCRIPTION:1984']);
+            expect(extractBirthYear(event, strategies, 2026)).to.deep.equal({ year: 1984, strategy: 'description' });
+        });
+
+        it('should use regular expressions on description and summary', () => {
+            const described = createEvent(['DTSTART;VALUE=DATE:20200312', 'RRULE:FREQ=YEARLY', 'SUMMARY:Max', 'DESCRIPTION:Born 1984']);
+            expect(extractBirthYear(described, strategies, 2026)).to.deep.equal({ year: 1984, strategy: 'regex' });
+
+            const summarized = createEvent(['DTSTART;VALUE=DATE:20200312', 'RRULE:FREQ=YEARLY', 'SUMMARY:Max (1985)']);
+            expect(extractBirthYear(summarized, strategies, 2026)).to.deep.equal({ year: 1985, strategy: 'regex' });
+        });
+
+        it('should use custom properties', () => {
+            const event = createEvent(['DTSTART;VALUE=DATE:20200312', 'RRULE:FREQ=YEARLY', 'SUMMARY:Max', 'X-BIRTHYEAR:1986']);
+            expect(extractBirthYear(event, strategies, 2026)).to.deep.equal({ year: 1986, strategy: 'property' });
+        });
+
+        it('should use the year of recurring events only', () => {
+            const recurring = createEvent(['DTSTART;VALUE=DATE:19870312', 'RRULE:FREQ=YEARLY', 'SUMMARY:Max']);
+            expect(extractBirthYear(recurring, strategies, 2026)).to.deep.equal({ year: 1987, strategy: 'dtstart' });
+
+            const single = createEvent(['DTSTART;VALUE=DATE:19870312', 'SUMMARY:Max']);
+            expect(extractBirthYear(single, strategies, 2026)).to.deep.equal({ year: NaN, strategy: null });
+        });
+
+        it('should ignore years in the future and respect the order', () => {
+            const event = createEvent(['DTSTART;VALUE=DATE:19880312', 'RRULE:FREQ=YEARLY', 'SUMMARY:Max', 'DESCRIPTION:2030']);
+
+            expect(extractBirthYear(event, strategies, 2026)).to.deep.equal({ year: 1988, strategy: 'dtstart' });
+            expect(extractBirthYear(event, createYearStrategies([{ strategy: 'description' }]).strategies, 2026)).to.deep.equal({ year: NaN, strategy: null });
+        });
+    });
+
+    describe('cleanName', () => {
+        it('should remove all matches', () => {
+            expect(cleanName('Max (1984)', /\s*\(\d{4}\)/)).to.equal('Max');
+            expect(cleanName('Birthday: Max Mustermann', /birthday:/gi)).to.equal('Max Mustermann');
+            expect(cleanName('Max', null)).to.equal('Max');
+        });
+    });
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+const crypto = require('node:crypto');
+const moment = require('moment');
+
+/**
+ * Cache of remote sources (iCal calendars and CardDAV accounts)
+ *
+ * - the last successful result is stored in the file storage (fallback if the source is not available)
+ * - one file per source type and url (credentials are not part of the file name)
+ * - cached data older than the configured maximum age is dropped
+ *
+ * @typedef {{ timestamp: number, data: any }} SourceCache
+ */
+
+/**
+ * @param {string} type source type (e.g. ical)
+ * @param {string} url
+ * @returns {string} path within the file storage of the adapter
+ */
+function getCacheFileName(type, url) {
+    const hash = crypto.createHash('sha1').update(`${type}:${url}`).digest('hex');
+    return `cache/${type}-${hash}.json`;
+}
+
+/**
+ * @param {any} data
+ * @param {number} [timestamp]
+ * @returns {string} file content
+ */
+function createCache(data, timestamp = Date.now()) {
+    return JSON.stringify({ timestamp, data });
+}
+
+/**
+ * @param {string | Buffer} content file content
+ * @returns {SourceCache}
+ */
+function parseCache(content) {
+    const cache = JSON.parse(content.toString());
+
+    if (!cache || typeof cache.timestamp !== 'number') {
+        throw new Error('invalid cache file');
+    }
+
+    return cache;
+}
+
+/**
+ * @param {SourceCache} cache
+ * @param {number} maxAgeDays
+ * @param {import('moment').Moment} [now]
+ * @returns {boolean}
+ */
+function isCacheExpired(cache, maxAgeDays, now = moment()) {
+    return now.diff(moment(cache.timestamp), 'days', true) > maxAgeDays;
+}
+
+module.exports = {
+    getCacheFileName,
+    createCache,
+    parseCache,
+    isCacheExpired,
+};
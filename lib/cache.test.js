@@ -0,0 +1,44 @@
+'use strict';
+
+const { expect } = require('chai');
+const moment = require('moment');
+const { getCacheFileName, createCache, parseCache, isCacheExpired } = require('./cache');
+
+describe('cache', () => {
+    describe('getCacheFileName', () => {
+        it('should depend on type and url', () => {
+            const fileName = getCacheFileName('ical', 'https://example.com/birthdays.ics');
+
+            expect(fileName).to.match(/^cache\/ical-[0-9a-f]{40}\.json$/);
+            expect(getCacheFileName('ical', 'https://example.com/birthdays.ics')).to.equal(fileName);
+            expect(getCacheFileName('ical', 'https://example.com/other.ics')).to.not.equal(fileName);
+            expect(getCacheFileName('carddav', 'https://example.com/birthdays.ics')).to.match(/^cache\/carddav-/);
+        });
+    });
+
+    describe('createCache / parseCache', () => {
+        it('should keep timestamp and data', () => {
+            const content = createCache('BEGIN:VCALENDAR', 1700000000000);
+
+            expect(parseCache(content)).to.deep.equal({ timestamp: 1700000000000, data: 'BEGIN:VCALENDAR' });
+            expect(parseCache(Buffer.from(content))).to.deep.equal({ timestamp: 1700000000000, data: 'BEGIN:VCALENDAR' });
+        });
+
+        it('should throw on invalid files', () => {
+            expect(() => parseCache('{')).to.throw();
+            expect(() => parseCache('null')).to.throw('invalid cache file');
+            expect(() => parseCache('{"data":"x"}')).to.throw('invalid cache file');
+        });
+    });
+
+    describe('isCacheExpired', () => {
+        it('should compare with the maximum age in days', () => {
+            const now = moment({ year: 2026, month: 9, date: 19, hour: 12 });
+            const cache = { timestamp: now.clone().subtract(3, 'days').valueOf(), data: null };
+
+            expect(isCacheExpired(cache, 3, now)).to.equal(false);
+            expect(isCacheExpired(cache, 2.5, now)).to.equal(true);
+            expect(isCacheExpired({ ...cache, timestamp: now.clone().subtract(3, 'days').subtract(1, 'minute').valueOf() }, 3, now)).to.equal(true);
+        });
+    });
+});
@@ -0,0 +1,351 @@
+'use strict';
+
+const axios = require('axios').default;
+const https = require('node:https');
+const { XMLParser } = require('fast-xml-parser');
+
+const MULTIGET_CHUNK_SIZE = 50;
+
+/**
+ * @typedef {{ href: string, status: number, props: Record<string, any> }} DavResponse
+ * @typedef {{ url: string, displayName: string }} AddressBook
+ */
+
+class CardDavError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} [status]
+     */
+    constructor(message, status) {
+        super(message);
+        this.name = 'CardDavError';
+        this.status = status;
+    }
+}
+
+class CardDavClient {
+    /**
+     * @param {{ url: string, user?: string, password?: string, ignoreCertErrors?: boolean, timeout?: number, log?: ioBroker.Log }} options
+     */
+    constructor(options) {
+        this.url = options.url;
+        this.timeout = options.timeout ?? 10000;
+        this.log = options.log;
+
+        this.httpsAgent = new https.Agent({ rejectUnauthorized: !options.ignoreCertErrors });
+        this.auth = options.user ? { username: options.user, password: options.password ?? '' } : undefined;
+
+        this.parser = new XMLParser({
+            removeNSPrefix: true,
+            ignoreAttributes: true,
+            parseTagValue: false,
+            isArray: (name) => ['response', 'propstat'].includes(name),
+        });
+    }
+
+    /**
+     * Finds all address books of the configured url
+     *
+     * The url might point to an address book, an address book home, a principal or just the server.
+     * If the server doesn't speak WebDAV at all, null is returned (plain vCard export).
+     *
+     * @returns {Promise<AddressBook[] | null>}
+     */
+    async discoverAddressBooks() {
+        let entry;
+
+        try {
+            entry = await this.propfindSelf(this.url, ['resourcetype', 'displayname', 'current-user-principal', 'addressbook-home-set']);
+        } catch (err) {
+            if (err instanceof CardDavError && [200, 400, 404, 405, 501].includes(err.status ?? 0)) {
+                // Only server urls (without path) are resolved via well-known url - everything else might be a vCard export
+                if (new URL(this.url).pathname === '/') {
+                    const wellKnownUrl = new URL('/.well-known/carddav', this.url).toString();
+
+                    this.log?.debug(`[carddav] PROPFIND on ${this.url} failed with status ${err.status} - trying ${wellKnownUrl}`);
+
+                    try {
+                        entry = await this.propfindSelf(wellKnownUrl, ['resourcetype', 'displayname', 'current-user-principal', 'addressbook-home-set']);
+                    } catch (wellKnownErr) {
+                        this.log?.debug(`[carddav] discovery via ${wellKnownUrl} failed: ${wellKnownErr}`);
+                    }
+                }
+
+                if (!entry) {
+                    return null;
+                }
+            } else {
+                throw err;
+            }
+        }
+
+        if (this.hasResourceType(entry.props, 'addressbook')) {
+            return [{ url: entry.href, displayName: this.getDisplayName(entry) }];
+        }
+
+        let homeUrl = this.getHref(entry.props['addressbook-home-set'], entry.href);
+
+        if (!homeUrl) {
+            const principalUrl = this.getHref(entry.props['current-user-principal'], entry.href);
+
+            if (principalUrl) {
+                this.log?.debug(`[carddav] found principal: ${principalUrl}`);
+
+                const principal = await this.propfindSelf(principalUrl, ['addressbook-home-set']);
+                homeUrl = this.getHref(principal.props['addressbook-home-set'], principal.href);
+
+                if (!homeUrl) {
+                    throw new CardDavError(`principal ${principalUrl} has no address book home`);
+                }
+            } else if (this.hasResourceType(entry.props, 'collection')) {
+                // Configured url is the address book home itself
+                homeUrl = entry.href;
+            } else {
+                throw new CardDavError(`unable to find principal or address book home of ${entry.href}`);
+            }
+        }
+
+        this.log?.debug(`[carddav] found address book home: ${homeUrl}`);
+
+        const collections = await this.propfind(homeUrl, 1, ['resourcetype', 'displayname']);
+
+        return collections.filter((response) => this.hasResourceType(response.props, 'addressbook')).map((response) => ({ url: response.href, displayName: this.getDisplayName(response) }));
+    }
+
+    /**
+     * Fetches all vCards of an address book which contain at least one of the given properties
+     *
+     * @param {string} addressBookUrl
+     * @param {string[]} properties
+     * @returns {Promise<string[]>}
+     */
+    async fetchCards(addressBookUrl, properties) {
+        let responses;
+
+        try {
+            responses = await this.request('REPORT', addressBookUrl, 1, this.getAddressBookQueryBody(properties));
+        } catch (err) {
+            if (err instanceof CardDavError && [400, 403, 404, 405, 501].includes(err.status ?? 0)) {
+                // Some servers don't support addressbook-query - fetch every card of the collection instead
+                this.log?.debug(`[carddav] addressbook-query on ${addressBookUrl} failed with status ${err.status} - falling back to multiget of all cards`);
+
+                responses = (await this.propfind(addressBookUrl, 1, ['getetag'])).filter((response) => response.href !== addressBookUrl);
+            } else {
+                throw err;
+            }
+        }
+
+        const cards = [];
+        const missingHrefs = [];
+
+        for (const response of responses) {
+            const addressData = response.props['address-data'];
+
+            if (typeof addressData === 'string' && addressData.trim()) {
+                cards.push(addressData.trim());
+            } else if (response.status < 300) {
+                missingHrefs.push(response.href);
+            }
+        }
+
+        // Servers like iCloud only return hrefs in addressbook-query responses
+        for (let i = 0; i < missingHrefs.length; i += MULTIGET_CHUNK_SIZE) {
+            const hrefs = missingHrefs.slice(i, i + MULTIGET_CHUNK_SIZE);
+            const multigetResponses = await this.request('REPORT', addressBookUrl, 1, this.getAddressBookMultigetBody(hrefs));
+
+            for (const response of multigetResponses) {
+                const addressData = response.props['address-data'];
+
+                if (typeof addressData === 'string' && addressData.trim()) {
+                    cards.push(addressData.trim());
+                }
+            }
+        }
+
+        return cards;
+    }
+
+    /**
+     * Fetches the url with a plain GET request (single vCard export file)
+     *
+     * @returns {Promise<string>}
+     */
+    async fetchExport() {
+        const response = await axios({
+            method: 'get',
+            url: this.url,
+            timeout: this.timeout,
+            httpsAgent: this.httpsAgent,
+            auth: this.auth,
+            responseType: 'text',
+        });
+
+        return response.data;
+    }
+
+    /**
+     * @param {string} url
+     * @param {string[]} props
+     * @returns {Promise<DavResponse>}
+     */
+    async propfindSelf(url, props) {
+        const responses = await this.propfind(url, 0, props);
+        const entry = responses.find((response) => response.status < 300) ?? responses[0];
+
+        if (!entry) {
+            throw new CardDavError(`empty PROPFIND response of ${url}`);
+        }
+
+        return entry;
+    }
+
+    /**
+     * @param {string} url
+     * @param {number} depth
+     * @param {string[]} props
+     * @returns {Promise<DavResponse[]>}
+     */
+    async propfind(url, depth, props) {
+        const body = [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            '<d:propfind xmlns:d="DAV:" xmlns:card="urn:ietf:params:xml:ns:carddav">',
+            '<d:prop>',
+            ...props.map((prop) => (prop === 'addressbook-home-set' ? `<card:${prop}/>` : `<d:${prop}/>`)),
+            '</d:prop>',
+            '</d:propfind>',
+        ].join('');
+
+        return this.request('PROPFIND', url, depth, body);
+    }
+
+    /**
+     * @param {string} method
+     * @param {string} url
+     * @param {number} depth
+     * @param {string} body
+     * @returns {Promise<DavResponse[]>}
+     */
+    async request(method, url, depth, body) {
+        this.log?.debug(`[carddav] ${method} ${url} (depth ${depth})`);
+
+        const response = await axios({
+            method,
+            url,
+            timeout: this.timeout,
+            httpsAgent: this.httpsAgent,
+            auth: this.auth,
+            headers: {
+                Depth: String(depth),
+                'Content-Type': 'application/xml; charset=utf-8',
+            },
+            data: body,
+            responseType: 'text',
+            validateStatus: () => true,
+        });
+
+        if (response.status !== 207) {
+            throw new CardDavError(`${method} ${url} failed with status ${response.status}`, response.status);
+        }
+
+        return this.parseMultistatus(response.data, url);
+    }
+
+    /**
+     * @param {string} xml
+     * @param {string} baseUrl
+     * @returns {DavResponse[]}
+     */
+    parseMultistatus(xml, baseUrl) {
+        const parsed = this.parser.parse(xml);
+
+        if (!parsed?.multistatus) {
+            throw new CardDavError(`invalid multistatus response of ${baseUrl}`);
+        }
+
+        const responses = Array.isArray(parsed.multistatus.response) ? parsed.multistatus.response : [];
+
+        return responses.map((response) => {
+            const props = {};
+            let status = this.parseStatus(response.status);
+
+            for (const propstat of response.propstat ?? []) {
+                const propstatStatus = this.parseStatus(propstat.status);
+
+                if (propstatStatus < 300) {
+                    Object.assign(props, propstat.prop ?? {});
+                    status = propstatStatus;
+                } else if (!status) {
+                    status = propstatStatus;
+                }
+            }
+
+            return {
+                href: new URL(String(response.href), baseUrl).toString(),
+                status: status || 200,
+                props,
+            };
+        });
+    }
+
+    /**
+     * @param {string | undefined} status e.g. "HTTP/1.1 200 OK"
+     * @returns {number}
+     */
+    parseStatus(status) {
+        const match = /^\S+\s+(\d{3})/.exec(String(status ?? ''));
+        return match ? parseInt(match[1]) : 0;
+    }
+
+    hasResourceType(props, type) {
+        const resourceType = props.resourcetype;
+        return !!resourceType && typeof resourceType === 'object' && type in resourceType;
+    }
+
+    getHref(prop, baseUrl) {
+        const href = prop?.href;
+        if (href) {
+            return new URL(String(Array.isArray(href) ? href[0] : href), baseUrl).toString();
+        }
+        return null;
+    }
+
+    getDisplayName(response) {
+        const displayName = response.props.displayname;
+        if (displayName && typeof displayName === 'string') {
+            return displayName;
+        }
+
+        return decodeURIComponent(new URL(response.href).pathname.split('/').filter(Boolean).pop() ?? '');
+    }
+
+    getAddressBookQueryBody(properties) {
+        return [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            '<card:addressbook-query xmlns:d="DAV:" xmlns:card="urn:ietf:params:xml:ns:carddav">',
+            '<d:prop><d:getetag/><card:address-data/></d:prop>',
+            '<card:filter test="anyof">',
+            ...properties.map((property) => `<card:prop-filter name="${property}"/>`),
+            '</card:filter>',
+            '</card:addressbook-query>',
+        ].join('');
+    }
+
+    getAddressBookMultigetBody(hrefs) {
+        return [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            '<card:addressbook-multiget xmlns:d="DAV:" xmlns:card="urn:ietf:params:xml:ns:carddav">',
+            '<d:prop><d:getetag/><card:address-data/></d:prop>',
+            ...hrefs.map((href) => `<d:href>${this.escapeXml(new URL(href).pathname)}</d:href>`),
+            '</card:addressbook-multiget>',
+        ].join('');
+    }
+
+    escapeXml(str) {
+        return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+}
+
+module.exports = {
+    CardDavClient,
+    CardDavError,
+};
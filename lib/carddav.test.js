@@ -0,0 +1,166 @@
+'use strict';
+
+const { expect } = require('chai');
+const http = require('node:http');
+const { CardDavClient } = require('./carddav');
+
+const VCARD_ANNA = ['BEGIN:VCARD', 'VERSION:3.0', 'UID:anna', 'FN:Anna Müller', 'BDAY:1984-03-15', 'END:VCARD'].join('\r\n');
+const VCARD_BOB = ['BEGIN:VCARD', 'VERSION:4.0', 'UID:bob', 'FN:Bob', 'BDAY:--0101', 'END:VCARD'].join('\r\n');
+const VCARD_CARL = ['BEGIN:VCARD', 'VERSION:3.0', 'UID:carl', 'FN:Carl', 'BDAY:1970-10-20', 'END:VCARD'].join('\r\n');
+
+function multistatus(responses) {
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<d:multistatus xmlns:d="DAV:" xmlns:card="urn:ietf:params:xml:ns:carddav">',
+        ...responses.map((response) => `<d:response><d:href>${response.href}</d:href><d:propstat><d:prop>${response.props}</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>`),
+        '</d:multistatus>',
+    ].join('');
+}
+
+function escape(str) {
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Minimal CardDAV server with discovery (well-known, principal, home set), two address books
+ * and a server which only returns hrefs in addressbook-query responses (like iCloud)
+ */
+function createMockServer(requests) {
+    return http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => (body += chunk));
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, depth: req.headers.depth, body });
+
+            if (req.headers.authorization !== `Basic ${Buffer.from('user:secret').toString('base64')}`) {
+                res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="dav"' });
+                return res.end();
+            }
+
+            const sendMultistatus = (responses) => {
+                res.writeHead(207, { 'Content-Type': 'application/xml; charset=utf-8' });
+                res.end(multistatus(responses));
+            };
+
+            if (req.url === '/.well-known/carddav') {
+                res.writeHead(301, { Location: '/dav/' });
+                return res.end();
+            }
+
+            if (req.method === 'PROPFIND' && req.url === '/dav/') {
+                return sendMultistatus([
+                    { href: '/dav/', props: '<d:resourcetype><d:collection/></d:resourcetype><d:current-user-principal><d:href>/dav/principals/user/</d:href></d:current-user-principal>' },
+                ]);
+            }
+
+            if (req.method === 'PROPFIND' && req.url === '/dav/principals/user/') {
+                return sendMultistatus([{ href: '/dav/principals/user/', props: '<card:addressbook-home-set><d:href>/dav/addressbooks/user/</d:href></card:addressbook-home-set>' }]);
+            }
+
+            if (req.method === 'PROPFIND' && req.url === '/dav/addressbooks/user/') {
+                return sendMultistatus([
+                    { href: '/dav/addressbooks/user/', props: '<d:resourcetype><d:collection/></d:resourcetype>' },
+                    { href: '/dav/addressbooks/user/family/', props: '<d:resourcetype><d:collection/><card:addressbook/></d:resourcetype><d:displayname>Family</d:displayname>' },
+                    { href: '/dav/addressbooks/user/work/', props: '<d:resourcetype><d:collection/><card:addressbook/></d:resourcetype><d:displayname>Work</d:displayname>' },
+                ]);
+            }
+
+            if (req.method === 'REPORT' && req.url === '/dav/addressbooks/user/family/' && body.includes('addressbook-query')) {
+                return sendMultistatus([
+                    { href: '/dav/addressbooks/user/family/anna.vcf', props: `<d:getetag>"1"</d:getetag><card:address-data>${escape(VCARD_ANNA)}</card:address-data>` },
+                    { href: '/dav/addressbooks/user/family/bob.vcf', props: `<d:getetag>"2"</d:getetag>` },
+                ]);
+            }
+
+            if (req.method === 'REPORT' && req.url === '/dav/addressbooks/user/family/' && body.includes('addressbook-multiget')) {
+                return sendMultistatus([{ href: '/dav/addressbooks/user/family/bob.vcf', props: `<d:getetag>"2"</d:getetag><card:address-data>${escape(VCARD_BOB)}</card:address-data>` }]);
+            }
+
+            if (req.method === 'REPORT' && req.url === '/dav/addressbooks/user/work/') {
+                return sendMultistatus([{ href: '/dav/addressbooks/user/work/carl.vcf', props: `<d:getetag>"3"</d:getetag><card:address-data>${escape(VCARD_CARL)}</card:address-data>` }]);
+            }
+
+            if (req.url === '/export.vcf') {
+                if (req.method === 'GET') {
+                    res.writeHead(200, { 'Content-Type': 'text/vcard' });
+                    return res.end([VCARD_ANNA, VCARD_CARL].join('\r\n'));
+                }
+
+                res.writeHead(405);
+                return res.end();
+            }
+
+            res.writeHead(404);
+            res.end();
+        });
+    });
+}
+
+describe('CardDavClient', () => {
+    let server;
+    let baseUrl;
+    const requests = [];
+
+    before((done) => {
+        server = createMockServer(requests);
+        server.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    after((done) => {
+        server.close(done);
+    });
+
+    beforeEach(() => {
+        requests.length = 0;
+    });
+
+    it('should discover all address books via well-known url and principal', async () => {
+        const client = new CardDavClient({ url: `${baseUrl}/`, user: 'user', password: 'secret' });
+        const addressBooks = await client.discoverAddressBooks();
+
+        expect(addressBooks).to.deep.equal([
+            { url: `${baseUrl}/dav/addressbooks/user/family/`, displayName: 'Family' },
+            { url: `${baseUrl}/dav/addressbooks/user/work/`, displayName: 'Work' },
+        ]);
+        expect(requests.map((request) => `${request.method} ${request.url}`)).to.include('PROPFIND /.well-known/carddav');
+    });
+
+    it('should list the address books of the configured address book home', async () => {
+        const client = new CardDavClient({ url: `${baseUrl}/dav/addressbooks/user/`, user: 'user', password: 'secret' });
+        const addressBooks = await client.discoverAddressBooks();
+
+        expect(addressBooks).to.have.lengthOf(2);
+    });
+
+    it('should only query cards with birthday and fetch missing address data via multiget', async () => {
+        const client = new CardDavClient({ url: `${baseUrl}/`, user: 'user', password: 'secret' });
+        const cards = await client.fetchCards(`${baseUrl}/dav/addressbooks/user/family/`, ['BDAY']);
+
+        // XML parsers normalize line breaks
+        expect(cards.map((card) => card.replace(/\r?\n/g, '\r\n'))).to.deep.equal([VCARD_ANNA, VCARD_BOB]);
+
+        const query = requests.find((request) => request.body.includes('addressbook-query'));
+        expect(query?.depth).to.equal('1');
+        expect(query?.body).to.include('<card:prop-filter name="BDAY"/>');
+
+        const multiget = requests.find((request) => request.body.includes('addressbook-multiget'));
+        expect(multiget?.body).to.include('<d:href>/dav/addressbooks/user/family/bob.vcf</d:href>');
+        expect(multiget?.body).not.to.include('anna.vcf');
+    });
+
+    it('should return null for servers without WebDAV support (vCard export)', async () => {
+        const client = new CardDavClient({ url: `${baseUrl}/export.vcf`, user: 'user', password: 'secret' });
+
+        expect(await client.discoverAddressBooks()).to.equal(null);
+        expect(await client.fetchExport()).to.equal([VCARD_ANNA, VCARD_CARL].join('\r\n'));
+    });
+
+    it('should fail with invalid credentials', async () => {
+        const client = new CardDavClient({ url: `${baseUrl}/dav/`, user: 'user', password: 'wrong' });
+
+        await expect(client.discoverAddressBooks()).to.be.rejectedWith('failed with status 401');
+    });
+});
@@ -0,0 +1,151 @@
+'use strict';
+
+const moment = require('moment');
+
+/**
+ * How birthdays on February 29 are handled in non-leap years
+ *
+ * - feb28: celebrated on February 28
+ * - mar1: celebrated on March 1
+ * - leapOnly: only celebrated in leap years
+ *
+ * @typedef {'feb28' | 'mar1' | 'leapOnly'} LeapDayPolicy
+ */
+
+/** @type {LeapDayPolicy[]} */
+const LEAP_DAY_POLICIES = ['feb28', 'mar1', 'leapOnly'];
+
+/**
+ * @param {string} [policy]
+ * @returns {LeapDayPolicy}
+ */
+function getLeapDayPolicy(policy) {
+    // @ts-ignore checked via includes
+    return LEAP_DAY_POLICIES.includes(policy) ? policy : 'feb28';
+}
+
+/**
+ * @param {moment.Moment} date
+ * @returns {boolean}
+ */
+function isLeapDay(date) {
+    return date.month() === 1 && date.date() === 29;
+}
+
+/**
+ * Returns the date of the birthday in the given year (or null if there is no birthday in this year)
+ *
+ * @param {moment.Moment} birthday
+ * @param {number} year
+ * @param {string} [policy]
+ * @returns {moment.Moment | null}
+ */
+function getOccurrence(birthday, year, policy) {
+    if (!isLeapDay(birthday) || moment([year]).isLeapYear()) {
+        return moment({ year, month: birthday.month(), date: birthday.date() });
+    }
+
+    switch (getLeapDayPolicy(policy)) {
+        case 'mar1':
+            return moment({ year, month: 2, date: 1 });
+        case 'leapOnly':
+            return null;
+        default:
+            return moment({ year, month: 1, date: 28 });
+    }
+}
+
+/**
+ * Returns the next birthday on or after the reference date
+ *
+ * @param {moment.Moment} birthday
+ * @param {moment.Moment} today reference date (start of day)
+ * @param {string} [policy]
+ * @param {Array<{ year: number, month: number, day: number }>} [occurrences] upcoming occurrences of a recurrence rule (month 1-12, sorted by date)
+ * @returns {moment.Moment}
+ */
+function getNextOccurrence(birthday, today, policy, occurrences = []) {
+    for (const { year, month, day } of occurrences) {
+        // ical.js moves February 29 to March 1 in other years
+        const rollover = isLeapDay(birthday) && month === 3 && day === 1 && !moment([year]).isLeapYear();
+        const occurrence = rollover ? getOccurrence(birthday, year, policy) : moment({ year, month: month - 1, date: day });
+
+        if (occurrence && !occurrence.isBefore(today, 'day')) {
+            return occurrence;
+        }
+    }
+
+    // The next leap year is at most 8 years away (e.g. 1896 -> 1904)
+    for (let year = today.year(); year <= today.year() + 8; year++) {
+        const occurrence = getOccurrence(birthday, year, policy);
+
+        if (occurrence && !occurrence.isBefore(today, 'day')) {
+            return occurrence;
+        }
+    }
+
+    return moment.invalid();
+}
+
+/**
+ * Calculates the exact age (years, months and days) at the reference date
+ *
+ * In non-leap years, the age of people born on February 29 changes on February 28 (feb28) or March 1 (mar1, leapOnly).
+ *
+ * @param {moment.Moment} birthday
+ * @param {moment.Moment} today reference date (start of day)
+ * @param {string} [policy]
+ * @returns {{ years: number, months: number, days: number }}
+ */
+function getAge(birthday, today, policy) {
+    const agePolicy = getLeapDayPolicy(policy) === 'leapOnly' ? 'mar1' : policy;
+
+    let years = today.year() - birthday.year();
+    let lastBirthday = /** @type {moment.Moment} */ (getOccurrence(birthday, today.year(), agePolicy));
+
+    if (lastBirthday.isAfter(today, 'day')) {
+        years--;
+        lastBirthday = /** @type {moment.Moment} */ (getOccurrence(birthday, today.year() - 1, agePolicy));
+    }
+
+    const months = today.diff(lastBirthday, 'months');
+    const days = today.diff(lastBirthday.clone().add(months, 'months'), 'days');
+
+    // Birthday on February 28 (feb28) is followed by February 29 in leap years - the age changes on February 29
+    if (months >= 12) {
+        const nextBirthday = /** @type {moment.Moment} */ (getOccurrence(birthday, lastBirthday.year() + 1, agePolicy));
+        return { years, months: 11, days: today.diff(nextBirthday.clone().subtract(1, 'month'), 'days') };
+    }
+
+    return { years, months, days };
+}
+
+/**
+ * Reference date instead of today (configuration override or preview)
+ *
+ * @param {any} value YYYY-MM-DD
+ * @returns {moment.Moment | null} start of the day or null if empty
+ */
+function parseReferenceDate(value) {
+    const str = String(value ?? '').trim();
+    if (!str) {
+        return null;
+    }
+
+    const date = moment(str, 'YYYY-MM-DD', true);
+    if (!date.isValid()) {
+        throw new Error(`invalid reference date "${str}" (expected YYYY-MM-DD)`);
+    }
+
+    return date.startOf('day');
+}
+
+module.exports = {
+    LEAP_DAY_POLICIES,
+    getLeapDayPolicy,
+    isLeapDay,
+    getOccurrence,
+    getNextOccurrence,
+    getAge,
+    parseReferenceDate,
+};
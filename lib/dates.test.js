@@ -0,0 +1,137 @@
+'use strict';
+
+const { expect } = require('chai');
+const moment = require('moment');
+const { getLeapDayPolicy, getOccurrence, getNextOccurrence, getAge, parseReferenceDate } = require('./dates');
+
+const format = (date) => (date ? date.format('YYYY-MM-DD') : null);
+
+describe('dates', () => {
+    const leapDayBirthday = moment({ year: 2000, month: 1, date: 29 });
+    const regularBirthday = moment({ year: 1990, month: 6, date: 15 });
+
+    describe('getLeapDayPolicy', () => {
+        it('should fall back to feb28 for unknown policies', () => {
+            expect(getLeapDayPolicy(undefined)).to.equal('feb28');
+            expect(getLeapDayPolicy('unknown')).to.equal('feb28');
+            expect(getLeapDayPolicy('mar1')).to.equal('mar1');
+        });
+    });
+
+    describe('getOccurrence', () => {
+        it('should keep February 29 in leap years for every policy', () => {
+            for (const policy of ['feb28', 'mar1', 'leapOnly']) {
+                expect(format(getOccurrence(leapDayBirthday, 2024, policy))).to.equal('2024-02-29');
+            }
+        });
+
+        it('should apply the policy in non-leap years', () => {
+            expect(format(getOccurrence(leapDayBirthday, 2023, 'feb28'))).to.equal('2023-02-28');
+            expect(format(getOccurrence(leapDayBirthday, 2023, 'mar1'))).to.equal('2023-03-01');
+            expect(format(getOccurrence(leapDayBirthday, 2023, 'leapOnly'))).to.equal(null);
+        });
+
+        it('should handle century years (2100 is no leap year)', () => {
+            expect(format(getOccurrence(leapDayBirthday, 2100, 'mar1'))).to.equal('2100-03-01');
+        });
+
+        it('should not change other birthdays', () => {
+            for (const policy of ['feb28', 'mar1', 'leapOnly']) {
+                expect(format(getOccurrence(regularBirthday, 2023, policy))).to.equal('2023-07-15');
+            }
+        });
+    });
+
+    describe('getNextOccurrence', () => {
+        const cases = [
+            { today: '2023-01-10', policy: 'feb28', expected: '2023-02-28' },
+            { today: '2023-01-10', policy: 'mar1', expected: '2023-03-01' },
+            { today: '2023-01-10', policy: 'leapOnly', expected: '2024-02-29' },
+            { today: '2023-02-28', policy: 'feb28', expected: '2023-02-28' },
+            { today: '2023-02-28', policy: 'mar1', expected: '2023-03-01' },
+            { today: '2023-03-01', policy: 'feb28', expected: '2024-02-29' },
+            { today: '2023-03-01', policy: 'mar1', expected: '2023-03-01' },
+            { today: '2024-01-10', policy: 'feb28', expected: '2024-02-29' },
+            { today: '2024-01-10', policy: 'mar1', expected: '2024-02-29' },
+            { today: '2024-02-29', policy: 'leapOnly', expected: '2024-02-29' },
+            { today: '2024-03-01', policy: 'feb28', expected: '2025-02-28' },
+            { today: '2024-03-01', policy: 'mar1', expected: '2025-03-01' },
+            { today: '2024-03-01', policy: 'leapOnly', expected: '2028-02-29' },
+            { today: '2097-03-01', policy: 'leapOnly', expected: '2104-02-29' },
+        ];
+
+        for (const { today, policy, expected } of cases) {
+            it(`should return ${expected} on ${today} (${policy})`, () => {
+                expect(format(getNextOccurrence(leapDayBirthday, moment(today, 'YYYY-MM-DD'), policy))).to.equal(expected);
+            });
+        }
+
+        it('should use the occurrences of a recurrence rule', () => {
+            const today = moment('2023-07-01', 'YYYY-MM-DD');
+
+            expect(format(getNextOccurrence(regularBirthday, today, 'feb28', [{ year: 2024, month: 7, day: 15 }]))).to.equal('2024-07-15');
+            expect(format(getNextOccurrence(regularBirthday, today, 'feb28', [{ year: 2023, month: 7, day: 16 }]))).to.equal('2023-07-16');
+            expect(format(getNextOccurrence(regularBirthday, today, 'feb28', [{ year: 2023, month: 6, day: 30 }]))).to.equal('2023-07-15');
+        });
+
+        it('should use the yearly date without occurrences (e.g. monthly events in lenient mode)', () => {
+            expect(format(getNextOccurrence(moment('1980-06-15', 'YYYY-MM-DD'), moment('2026-10-19', 'YYYY-MM-DD'), 'feb28', []))).to.equal('2027-06-15');
+        });
+
+        it('should apply the leap day policy to occurrences on March 1', () => {
+            const today = moment('2023-01-10', 'YYYY-MM-DD');
+            const occurrences = [
+                { year: 2023, month: 3, day: 1 },
+                { year: 2024, month: 2, day: 29 },
+            ];
+
+            expect(format(getNextOccurrence(leapDayBirthday, today, 'feb28', occurrences))).to.equal('2023-02-28');
+            expect(format(getNextOccurrence(leapDayBirthday, today, 'mar1', occurrences))).to.equal('2023-03-01');
+            expect(format(getNextOccurrence(leapDayBirthday, today, 'leapOnly', occurrences))).to.equal('2024-02-29');
+        });
+
+        it('should return today if the birthday is today', () => {
+            expect(format(getNextOccurrence(regularBirthday, moment('2023-07-15', 'YYYY-MM-DD'), 'feb28'))).to.equal('2023-07-15');
+            expect(format(getNextOccurrence(regularBirthday, moment('2023-07-16', 'YYYY-MM-DD'), 'feb28'))).to.equal('2024-07-15');
+        });
+    });
+
+    describe('getAge', () => {
+        const cases = [
+            { today: '2023-02-27', policy: 'feb28', expected: { years: 22, months: 11, days: 30 } },
+            { today: '2023-02-28', policy: 'feb28', expected: { years: 23, months: 0, days: 0 } },
+            { today: '2023-02-28', policy: 'mar1', expected: { years: 22, months: 11, days: 27 } },
+            { today: '2023-03-01', policy: 'mar1', expected: { years: 23, months: 0, days: 0 } },
+            { today: '2023-02-28', policy: 'leapOnly', expected: { years: 22, months: 11, days: 27 } },
+            { today: '2023-03-01', policy: 'leapOnly', expected: { years: 23, months: 0, days: 0 } },
+            { today: '2024-02-28', policy: 'feb28', expected: { years: 23, months: 11, days: 30 } },
+            { today: '2024-02-29', policy: 'feb28', expected: { years: 24, months: 0, days: 0 } },
+            { today: '2024-02-29', policy: 'mar1', expected: { years: 24, months: 0, days: 0 } },
+            { today: '2024-04-15', policy: 'mar1', expected: { years: 24, months: 1, days: 17 } },
+        ];
+
+        for (const { today, policy, expected } of cases) {
+            it(`should calculate the age on ${today} (${policy})`, () => {
+                expect(getAge(leapDayBirthday, moment(today, 'YYYY-MM-DD'), policy)).to.deep.equal(expected);
+            });
+        }
+
+        it('should calculate the age of other birthdays', () => {
+            expect(getAge(regularBirthday, moment('2023-07-14', 'YYYY-MM-DD'), 'feb28')).to.deep.equal({ years: 32, months: 11, days: 29 });
+            expect(getAge(regularBirthday, moment('2023-07-15', 'YYYY-MM-DD'), 'feb28')).to.deep.equal({ years: 33, months: 0, days: 0 });
+        });
+    });
+
+    describe('parseReferenceDate', () => {
+        it('should parse dates (YYYY-MM-DD)', () => {
+            expect(format(parseReferenceDate('2024-02-29'))).to.equal('2024-02-29');
+            expect(parseReferenceDate(' ')).to.equal(null);
+            expect(parseReferenceDate(undefined)).to.equal(null);
+        });
+
+        it('should throw on invalid dates', () => {
+            expect(() => parseReferenceDate('2023-02-29')).to.throw('invalid reference date "2023-02-29"');
+            expect(() => parseReferenceDate('31.12.2024')).to.throw('expected YYYY-MM-DD');
+        });
+    });
+});
@@ -0,0 +1,179 @@
+'use strict';
+
+const moment = require('moment');
+
+/**
+ * Conversion of imported files (CSV and JSON) to rows of the settings table
+ *
+ * @typedef {{ name: string, type?: string, uid?: string, group?: string | string[], deathDate?: string, day: number, month: number, year: number | null }} ImportRow
+ * @typedef {{ nameColumns?: string, dateColumn?: string, dateFormat?: string, typeColumn?: string, groupColumn?: string, deathDateColumn?: string }} CsvMapping
+ */
+
+/**
+ * @param {string} path
+ * @param {string} [format] auto, vcf, csv or json
+ * @returns {'vcf' | 'csv' | 'json' | null}
+ */
+function getFileFormat(path, format) {
+    const extension = String(path).split('.').pop()?.toLowerCase();
+    const fileFormat = !format || format === 'auto' ? (extension === 'vcard' ? 'vcf' : extension) : format;
+
+    return fileFormat === 'vcf' || fileFormat === 'csv' || fileFormat === 'json' ? fileFormat : null;
+}
+
+/**
+ * Parses CSV data with header line (delimiter is detected: comma, semicolon or tab)
+ *
+ * @param {string} data
+ * @returns {Array<Record<string, string>>}
+ */
+function parseCsv(data) {
+    const str = String(data ?? '').replace(/^\uFEFF/, '');
+    const headerLine = str.split(/\r?\n/)[0] ?? '';
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) => (headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best), ',');
+
+    /** @type {string[][]} */
+    const lines = [];
+    let line = [];
+    let value = '';
+    let quoted = false;
+
+    for (let i = 0; i < str.length; i++) {
+        const char = str[i];
+
+        if (quoted) {
+            if (char === '"' && str[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            line.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && str[i + 1] === '\n') {
+                i++;
+            }
+
+            line.push(value);
+            lines.push(line);
+            line = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+
+    if (value || line.length > 0) {
+        line.push(value);
+        lines.push(line);
+    }
+
+    const [header, ...rows] = lines.filter((l) => l.some((v) => v.trim()));
+    if (!header) {
+        return [];
+    }
+
+    const columns = header.map((column) => column.trim());
+
+    return rows.map((row) => Object.fromEntries(columns.map((column, index) => [column, (row[index] ?? '').trim()])));
+}
+
+/**
+ * @param {string} value
+ * @param {string} [dateFormat] moment format(s), comma separated (e.g. "YYYY-MM-DD, M/D/YYYY")
+ * @returns {{ day: number, month: number, year: number | null }}
+ */
+function parseImportDate(value, dateFormat) {
+    const str = String(value ?? '').trim();
+
+    // Dates without year (e.g. Google Contacts: --03-12)
+    const withoutYear = /^--(\d{2})-?(\d{2})$/.exec(str);
+    if (withoutYear) {
+        return { day: parseInt(withoutYear[2]), month: parseInt(withoutYear[1]), year: null };
+    }
+
+    const formats = String(dateFormat || 'YYYY-MM-DD')
+        .split(',')
+        .map((format) => format.trim())
+        .filter(Boolean);
+    const date = moment(str, formats, true);
+
+    if (!date.isValid()) {
+        return { day: NaN, month: NaN, year: null };
+    }
+
+    const yearKnown = formats.some((format) => format.includes('Y') && moment(str, format, true).isValid());
+
+    return { day: date.date(), month: date.month() + 1, year: yearKnown ? date.year() : null };
+}
+
+/**
+ * @param {Array<Record<string, string>>} rows
+ * @param {CsvMapping} mapping
+ * @returns {ImportRow[]} rows without date are ignored
+ */
+function csvToImportRows(rows, mapping) {
+    const nameColumns = String(mapping.nameColumns || 'Name')
+        .split(',')
+        .map((column) => column.trim())
+        .filter(Boolean);
+    const dateColumn = String(mapping.dateColumn || 'Birthday').trim();
+    const typeColumn = String(mapping.typeColumn || 'Type').trim();
+    const groupColumn = String(mapping.groupColumn || 'Group').trim();
+    const deathDateColumn = String(mapping.deathDateColumn || 'Deathdate').trim();
+
+    // Outlook exports empty dates as 0/0/00
+    return rows
+        .filter((row) => row[dateColumn] && !/^[0/.-]+$/.test(row[dateColumn]))
+        .map((row) => ({
+            name: nameColumns
+                .map((column) => row[column])
+                .filter(Boolean)
+                .join(' '),
+            ...(row[typeColumn] ? { type: row[typeColumn] } : {}),
+            ...(row[groupColumn] ? { group: row[groupColumn] } : {}),
+            ...(row[deathDateColumn] ? { deathDate: row[deathDateColumn] } : {}),
+            ...parseImportDate(row[dateColumn], mapping.dateFormat),
+        }));
+}
+
+/**
+ * Array of objects with name, id, group and deathDate (optional) and date ("YYYY-MM-DD" or "--MM-DD") or day, month and year (same as the settings table)
+ *
+ * @param {string} data
+ * @returns {ImportRow[]}
+ */
+function jsonToImportRows(data) {
+    const json = JSON.parse(String(data ?? '').replace(/^\uFEFF/, ''));
+
+    if (!Array.isArray(json)) {
+        throw new Error('JSON has to be an array of birthdays');
+    }
+
+    return json.map((item) => {
+        const date = item.date ? parseImportDate(item.date, 'YYYY-MM-DD') : { day: Number(item.day), month: Number(item.month), year: item.year ? Number(item.year) : null };
+
+        return {
+            name: String(item.name ?? '').trim(),
+            type: item.type,
+            ...(item.id ? { uid: String(item.id) } : {}),
+            ...(item.group ? { group: item.group } : {}),
+            ...(item.deathDate ? { deathDate: String(item.deathDate) } : {}),
+            ...date,
+        };
+    });
+}
+
+module.exports = {
+    getFileFormat,
+    parseCsv,
+    parseImportDate,
+    csvToImportRows,
+    jsonToImportRows,
+};
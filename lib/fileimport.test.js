@@ -0,0 +1,83 @@
+'use strict';
+
+const { expect } = require('chai');
+const { getFileFormat, parseCsv, parseImportDate, csvToImportRows, jsonToImportRows } = require('./fileimport');
+
+describe('fileimport', () => {
+    describe('getFileFormat', () => {
+        it('should detect the format by file extension', () => {
+            expect(getFileFormat('/opt/contacts.vcf')).to.equal('vcf');
+            expect(getFileFormat('/opt/contacts.VCARD', 'auto')).to.equal('vcf');
+            expect(getFileFormat('0_userdata.0/birthdays.csv')).to.equal('csv');
+            expect(getFileFormat('/opt/birthdays.txt')).to.equal(null);
+            expect(getFileFormat('/opt/birthdays.txt', 'json')).to.equal('json');
+        });
+    });
+
+    describe('parseCsv', () => {
+        it('should parse quoted values', () => {
+            const rows = parseCsv('Name,Birthday,Notes\r\n"Mustermann, Max",1984-03-12,"Says ""hello""\nand more"\r\n\r\n');
+            expect(rows).to.deep.equal([{ Name: 'Mustermann, Max', Birthday: '1984-03-12', Notes: 'Says "hello"\nand more' }]);
+        });
+
+        it('should detect the delimiter and remove the byte order mark', () => {
+            const rows = parseCsv('\uFEFFVorname;Nachname;Geburtstag\nMax;Mustermann;12.03.1984');
+            expect(rows).to.deep.equal([{ Vorname: 'Max', Nachname: 'Mustermann', Geburtstag: '12.03.1984' }]);
+        });
+    });
+
+    describe('parseImportDate', () => {
+        it('should parse dates with and without year', () => {
+            expect(parseImportDate('1984-03-12')).to.deep.equal({ day: 12, month: 3, year: 1984 });
+            expect(parseImportDate('--03-12')).to.deep.equal({ day: 12, month: 3, year: null });
+            expect(parseImportDate('3/12/1984', 'M/D/YYYY')).to.deep.equal({ day: 12, month: 3, year: 1984 });
+            expect(parseImportDate('12.03.', 'DD.MM.YYYY, DD.MM.')).to.deep.equal({ day: 12, month: 3, year: null });
+        });
+
+        it('should return invalid dates', () => {
+            expect(parseImportDate('31.02.1984', 'DD.MM.YYYY')).to.deep.equal({ day: NaN, month: NaN, year: null });
+            expect(parseImportDate('1984-03-12', 'DD.MM.YYYY')).to.deep.equal({ day: NaN, month: NaN, year: null });
+        });
+    });
+
+    describe('csvToImportRows', () => {
+        it('should map Google Contacts exports', () => {
+            const rows = parseCsv('First Name,Last Name,Birthday\nMax,Mustermann,1984-03-12\nErika,Mustermann,--08-01\nJohn,Doe,');
+            expect(csvToImportRows(rows, { nameColumns: 'First Name, Last Name' })).to.deep.equal([
+                { name: 'Max Mustermann', day: 12, month: 3, year: 1984 },
+                { name: 'Erika Mustermann', day: 1, month: 8, year: null },
+            ]);
+        });
+
+        it('should map Outlook exports', () => {
+            const rows = parseCsv('"First Name","Last Name","Birthday"\n"Max","Mustermann","3/12/1984"\n"John","Doe","0/0/00"');
+            expect(csvToImportRows(rows, { nameColumns: 'First Name,Last Name', dateColumn: 'Birthday', dateFormat: 'M/D/YYYY' })).to.deep.equal([
+                { name: 'Max Mustermann', day: 12, month: 3, year: 1984 },
+            ]);
+        });
+    });
+
+    describe('jsonToImportRows', () => {
+        it('should support dates and the format of the settings table', () => {
+            const rows = jsonToImportRows('[{ "name": "Max", "date": "1984-03-12" }, { "name": "Anna & Tom", "type": "anniversary", "day": 1, "month": 8 }]');
+            expect(rows).to.deep.equal([
+                { name: 'Max', type: undefined, day: 12, month: 3, year: 1984 },
+                { name: 'Anna & Tom', type: 'anniversary', day: 1, month: 8, year: null },
+            ]);
+        });
+
+        it('should keep the date of death', () => {
+            expect(jsonToImportRows('[{ "name": "Grandpa", "date": "1930-05-05", "deathDate": "2015-03-12" }]')).to.deep.equal([
+                { name: 'Grandpa', type: undefined, deathDate: '2015-03-12', day: 5, month: 5, year: 1930 },
+            ]);
+        });
+
+        it('should use the id as UID', () => {
+            expect(jsonToImportRows('[{ "name": "Max", "id": "max", "date": "--03-12" }]')).to.deep.equal([{ name: 'Max', type: undefined, uid: 'max', day: 12, month: 3, year: null }]);
+        });
+
+        it('should throw on invalid data', () => {
+            expect(() => jsonToImportRows('{ "name": "Max" }')).to.throw('JSON has to be an array of birthdays');
+        });
+    });
+});
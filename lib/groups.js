@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * Groups (categories) of birthdays
+ *
+ * - settings table, file import and sources: comma separated list of groups
+ * - iCal and vCard: CATEGORIES
+ * - vCard group membership: group cards (KIND:group or X-ADDRESSBOOKSERVER-KIND:group) with MEMBER / X-ADDRESSBOOKSERVER-MEMBER
+ */
+
+/**
+ * @param {any} value comma separated string or array of strings
+ * @returns {string[]} trimmed groups without duplicates (case insensitive)
+ */
+function parseGroups(value) {
+    const values = Array.isArray(value) ? value : String(value ?? '').split(',');
+
+    return mergeGroups(values.map((group) => String(group ?? '').trim()));
+}
+
+/**
+ * @param {...(string[] | undefined)} lists
+ * @returns {string[]} first spelling of a group wins
+ */
+function mergeGroups(...lists) {
+    /** @type {string[]} */
+    const groups = [];
+
+    for (const group of lists.flat()) {
+        if (group && !groups.some((g) => g.toLowerCase() === group.toLowerCase())) {
+            groups.push(group);
+        }
+    }
+
+    return groups;
+}
+
+/**
+ * @param {string[] | undefined} groups
+ * @param {string[]} filter groups to match (empty filter matches everything)
+ * @returns {boolean}
+ */
+function matchesGroups(groups, filter) {
+    if (filter.length === 0) {
+        return true;
+    }
+
+    return (groups ?? []).some((group) => filter.some((f) => f.toLowerCase() === group.toLowerCase()));
+}
+
+/**
+ * @param {any} component ICAL.Component (VEVENT or VCARD)
+ * @returns {string[]}
+ */
+function getCategories(component) {
+    return parseGroups(component.getAllProperties('categories').flatMap((prop) => prop.getValues()));
+}
+
+/**
+ * UIDs of vCard 4 are often URNs (e.g. urn:uuid:1234) - members refer to the same contact with or without prefix
+ *
+ * @param {any} uid
+ * @returns {string}
+ */
+function normalizeVCardUid(uid) {
+    return String(uid ?? '')
+        .trim()
+        .replace(/^urn:uuid:/i, '');
+}
+
+/**
+ * @param {any[]} components ICAL.Component[] (VCARD)
+ * @returns {Map<string, string[]>} groups by UID of the members
+ */
+function getVCardGroupMembers(components) {
+    /** @type {Map<string, string[]>} */
+    const members = new Map();
+
+    for (const comp of components) {
+        const kind = String(comp.getFirstPropertyValue('kind') ?? comp.getFirstPropertyValue('x-addressbookserver-kind') ?? '').toLowerCase();
+        const name = String(comp.getFirstPropertyValue('fn') ?? '').trim();
+
+        if (kind !== 'group' || !name) {
+            continue;
+        }
+
+        for (const prop of [...comp.getAllProperties('member'), ...comp.getAllProperties('x-addressbookserver-member')]) {
+            const uid = normalizeVCardUid(prop.getFirstValue());
+            members.set(uid, mergeGroups(members.get(uid), [name]));
+        }
+    }
+
+    return members;
+}
+
+module.exports = {
+    parseGroups,
+    mergeGroups,
+    matchesGroups,
+    getCategories,
+    normalizeVCardUid,
+    getVCardGroupMembers,
+};
@@ -0,0 +1,69 @@
+'use strict';
+
+const { expect } = require('chai');
+const ICAL = require('ical.js');
+const { parseGroups, mergeGroups, matchesGroups, getCategories, normalizeVCardUid, getVCardGroupMembers } = require('./groups');
+
+const parseVCards = (cards) => {
+    const parsed = ICAL.parse(cards.map((properties) => ['BEGIN:VCARD', 'VERSION:3.0', ...properties, 'END:VCARD'].join('\r\n')).join('\r\n'));
+    return (typeof parsed[0] === 'string' ? [parsed] : parsed).map((vcard) => new ICAL.Component(vcard));
+};
+
+describe('groups', () => {
+    describe('parseGroups', () => {
+        it('should split, trim and remove duplicates', () => {
+            expect(parseGroups(' Family, friends,, family ')).to.deep.equal(['Family', 'friends']);
+            expect(parseGroups(['Office', ' Family '])).to.deep.equal(['Office', 'Family']);
+            expect(parseGroups(undefined)).to.deep.equal([]);
+        });
+    });
+
+    describe('mergeGroups', () => {
+        it('should keep the first spelling', () => {
+            expect(mergeGroups(['Family'], undefined, ['family', 'Office'])).to.deep.equal(['Family', 'Office']);
+        });
+    });
+
+    describe('matchesGroups', () => {
+        it('should match any group of the filter', () => {
+            expect(matchesGroups(['Family'], [])).to.equal(true);
+            expect(matchesGroups([], [])).to.equal(true);
+            expect(matchesGroups(['Family', 'Office'], ['office'])).to.equal(true);
+            expect(matchesGroups(['Family'], ['Office'])).to.equal(false);
+            expect(matchesGroups(undefined, ['Office'])).to.equal(false);
+        });
+    });
+
+    describe('getCategories', () => {
+        it('should return all categories', () => {
+            const [comp] = parseVCards([['FN:Anna', 'CATEGORIES:Family,Friends', 'CATEGORIES:Office']]);
+            expect(getCategories(comp)).to.deep.equal(['Family', 'Friends', 'Office']);
+        });
+    });
+
+    describe('getVCardGroupMembers', () => {
+        it('should support vCard 4 and Apple groups', () => {
+            const members = getVCardGroupMembers(
+                parseVCards([
+                    ['UID:anna', 'FN:Anna', 'BDAY:1990-10-25'],
+                    ['UID:office', 'FN:Office', 'X-ADDRESSBOOKSERVER-KIND:group', 'X-ADDRESSBOOKSERVER-MEMBER:urn:uuid:anna', 'X-ADDRESSBOOKSERVER-MEMBER:urn:uuid:bob'],
+                    ['UID:family', 'FN:Family', 'KIND:group', 'MEMBER:urn:uuid:anna'],
+                ]),
+            );
+
+            expect(Object.fromEntries(members)).to.deep.equal({ anna: ['Office', 'Family'], bob: ['Office'] });
+        });
+
+        it('should find members with urn:uuid UIDs (vCard 4)', () => {
+            const cards = parseVCards([
+                ['UID:urn:uuid:4fbe8971-0bc3-424c-9c26-36c3e1eff6b1', 'FN:Anna', 'BDAY:1990-10-25'],
+                ['UID:urn:uuid:0e4a1b2c-family', 'FN:Family', 'KIND:group', 'MEMBER:urn:uuid:4fbe8971-0bc3-424c-9c26-36c3e1eff6b1'],
+            ]);
+            const members = getVCardGroupMembers(cards);
+
+            expect(members.get(normalizeVCardUid(cards[0].getFirstPropertyValue('uid')))).to.deep.equal(['Family']);
+            expect(normalizeVCardUid(' URN:UUID:abc ')).to.equal('abc');
+            expect(normalizeVCardUid(undefined)).to.equal('');
+        });
+    });
+});
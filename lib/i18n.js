@@ -0,0 +1,179 @@
+'use strict';
+
+/**
+ * Localized default texts of all outputs (system language or language of the instance)
+ *
+ * Configured templates which are equal to the default of any language are replaced by the default of the
+ * current language - so changing the language also changes unmodified templates.
+ *
+ * @typedef {'en' | 'de' | 'ru' | 'pt' | 'nl' | 'fr' | 'it' | 'es' | 'pl' | 'uk' | 'zh-cn'} Language
+ * @typedef {'nextTextTemplate' | 'nextTextTemplateNoAge' | 'currentAgeTemplate' | 'reminderTemplate' | 'reminderTitle' | 'calendarName' | 'memorialBirthdayTemplate' | 'memorialDayTemplate'} TextKey
+ */
+
+/** @type {Language[]} */
+const LANGUAGES = ['en', 'de', 'ru', 'pt', 'nl', 'fr', 'it', 'es', 'pl', 'uk', 'zh-cn'];
+
+/** @type {Record<Language, Record<TextKey, string>>} */
+const DEFAULT_TEXTS = {
+    en: {
+        nextTextTemplate: '{name} turns {age}',
+        nextTextTemplateNoAge: '{name}',
+        currentAgeTemplate: '{years:# year|# years}, {months:# month|# months} and {days:# day|# days}',
+        reminderTemplate: '{if today}Birthday today{elif tomorrow}Birthday tomorrow{else}Birthday in {daysLeft} days{/if}: {name}{if age} ({age}){/if}',
+        reminderTitle: 'Birthday reminder',
+        calendarName: 'Birthdays',
+        memorialBirthdayTemplate: '{name}{if age} would have turned {age}{/if}',
+        memorialDayTemplate: '{name}{if yearsSincePassing} ({yearsSincePassing:# year|# years} since passing){/if}',
+    },
+    de: {
+        nextTextTemplate: '{name} wird {age}',
+        nextTextTemplateNoAge: '{name}',
+        currentAgeTemplate: '{years:# Jahr|# Jahre}, {months:# Monat|# Monate} und {days:# Tag|# Tage}',
+        reminderTemplate: '{if today}Geburtstag heute{elif tomorrow}Geburtstag morgen{else}Geburtstag in {daysLeft} Tagen{/if}: {name}{if age} ({age}){/if}',
+        reminderTitle: 'Geburtstagserinnerung',
+        calendarName: 'Geburtstage',
+        memorialBirthdayTemplate: '{name}{if age} wäre {age} geworden{/if}',
+        memorialDayTemplate: '{name}{if yearsSincePassing} ({yearsSincePassing}. Todestag){/if}',
+    },
+    ru: {
+        nextTextTemplate: '{name}: {age:one=# год|few=# года|many=# лет|other=# года}',
+        nextTextTemplateNoAge: '{name}',
+        currentAgeTemplate:
+            '{years:one=# год|few=# года|many=# лет|other=# года}, {months:one=# месяц|few=# месяца|many=# месяцев|other=# месяца} и {days:one=# день|few=# дня|many=# дней|other=# дня}',
+        reminderTemplate:
+            '{if today}День рождения сегодня{elif tomorrow}День рождения завтра{else}День рождения через {daysLeft:one=# день|few=# дня|many=# дней|other=# дня}{/if}: {name}{if age} ({age}){/if}',
+        reminderTitle: 'Напоминание о дне рождения',
+        calendarName: 'Дни рождения',
+        memorialBirthdayTemplate: '{name}{if age}: исполнилось бы {age:one=# год|few=# года|many=# лет|other=# года}{/if}',
+        memorialDayTemplate: '{name}{if yearsSincePassing}: {yearsSincePassing:one=# год|few=# года|many=# лет|other=# года} со дня смерти{/if}',
+    },
+    pt: {
+        nextTextTemplate: '{name} faz {age:# ano|# anos}',
+        nextTextTemplateNoAge: '{name}',
+        currentAgeTemplate: '{years:# ano|# anos}, {months:# mês|# meses} e {days:# dia|# dias}',
+        reminderTemplate: '{if today}Aniversário hoje{elif tomorrow}Aniversário amanhã{else}Aniversário em {daysLeft} dias{/if}: {name}{if age} ({age}){/if}',
+        reminderTitle: 'Lembrete de aniversário',
+        calendarName: 'Aniversários',
+        memorialBirthdayTemplate: '{name}{if age} faria {age:# ano|# anos}{/if}',
+        memorialDayTemplate: '{name}{if yearsSincePassing} ({yearsSincePassing:# ano|# anos} de falecimento){/if}',
+    },
+    nl: {
+        nextTextTemplate: '{name} wordt {age}',
+        nextTextTemplateNoAge: '{name}',
+        currentAgeTemplate: '{years:# jaar|# jaar}, {months:# maand|# maanden} en {days:# dag|# dagen}',
+        reminderTemplate: '{if today}Verjaardag vandaag{elif tomorrow}Verjaardag morgen{else}Verjaardag over {daysLeft} dagen{/if}: {name}{if age} ({age}){/if}',
+        reminderTitle: 'Verjaardagsherinnering',
+        calendarName: 'Verjaardagen',
+        memorialBirthdayTemplate: '{name}{if age} zou {age} zijn geworden{/if}',
+        memorialDayTemplate: '{name}{if yearsSincePassing} ({yearsSincePassing} jaar overleden){/if}',
+    },
+    fr: {
+        nextTextTemplate: '{name} va avoir {age:one=# an|other=# ans}',
+        nextTextTemplateNoAge: '{name}',
+        currentAgeTemplate: '{years:one=# an|other=# ans}, {months:# mois|# mois} et {days:one=# jour|other=# jours}',
+        reminderTemplate: `{if today}Anniversaire aujourd'hui{elif tomorrow}Anniversaire demain{else}Anniversaire dans {daysLeft} jours{/if} : {name}{if age} ({age}){/if}`,
+        reminderTitle: `Rappel d'anniversaire`,
+        calendarName: 'Anniversaires',
+        memorialBirthdayTemplate: '{name}{if age} aurait eu {age:one=# an|other=# ans}{/if}',
+        memorialDayTemplate: '{name}{if yearsSincePassing} (décès il y a {yearsSincePassing:one=# an|other=# ans}){/if}',
+    },
+    it: {
+        nextTextTemplate: '{name} compie {age:# anno|# anni}',
+        nextTextTemplateNoAge: '{name}',
+        currentAgeTemplate: '{years:# anno|# anni}, {months:# mese|# mesi} e {days:# giorno|# giorni}',
+        reminderTemplate: '{if today}Compleanno oggi{elif tomorrow}Compleanno domani{else}Compleanno tra {daysLeft} giorni{/if}: {name}{if age} ({age}){/if}',
+        reminderTitle: 'Promemoria compleanno',
+        calendarName: 'Compleanni',
+        memorialBirthdayTemplate: '{name}{if age} avrebbe compiuto {age:# anno|# anni}{/if}',
+        memorialDayTemplate: '{name}{if yearsSincePassing} ({yearsSincePassing:# anno|# anni} dalla scomparsa){/if}',
+    },
+    es: {
+        nextTextTemplate: '{name} cumple {age:# año|# años}',
+        nextTextTemplateNoAge: '{name}',
+        currentAgeTemplate: '{years:# año|# años}, {months:# mes|# meses} y {days:# día|# días}',
+        reminderTemplate: '{if today}Cumpleaños hoy{elif tomorrow}Cumpleaños mañana{else}Cumpleaños en {daysLeft} días{/if}: {name}{if age} ({age}){/if}',
+        reminderTitle: 'Recordatorio de cumpleaños',
+        calendarName: 'Cumpleaños',
+        memorialBirthdayTemplate: '{name}{if age} habría cumplido {age:# año|# años}{/if}',
+        memorialDayTemplate: '{name}{if yearsSincePassing} ({yearsSincePassing:# año|# años} de su fallecimiento){/if}',
+    },
+    pl: {
+        nextTextTemplate: '{name} kończy {age:one=# rok|few=# lata|many=# lat|other=# roku}',
+        nextTextTemplateNoAge: '{name}',
+        currentAgeTemplate:
+            '{years:one=# rok|few=# lata|many=# lat|other=# roku}, {months:one=# miesiąc|few=# miesiące|many=# miesięcy|other=# miesiąca} i {days:one=# dzień|few=# dni|many=# dni|other=# dnia}',
+        reminderTemplate: '{if today}Urodziny dzisiaj{elif tomorrow}Urodziny jutro{else}Urodziny za {daysLeft:one=# dzień|few=# dni|many=# dni|other=# dnia}{/if}: {name}{if age} ({age}){/if}',
+        reminderTitle: 'Przypomnienie o urodzinach',
+        calendarName: 'Urodziny',
+        memorialBirthdayTemplate: '{name}{if age} ({age:one=# rok|few=# lata|many=# lat|other=# roku} od urodzin){/if}',
+        memorialDayTemplate: '{name}{if yearsSincePassing} ({yearsSincePassing:one=# rok|few=# lata|many=# lat|other=# roku} od śmierci){/if}',
+    },
+    uk: {
+        nextTextTemplate: '{name}: {age:one=# рік|few=# роки|many=# років|other=# року}',
+        nextTextTemplateNoAge: '{name}',
+        currentAgeTemplate:
+            '{years:one=# рік|few=# роки|many=# років|other=# року}, {months:one=# місяць|few=# місяці|many=# місяців|other=# місяця} і {days:one=# день|few=# дні|many=# днів|other=# дня}',
+        reminderTemplate:
+            '{if today}День народження сьогодні{elif tomorrow}День народження завтра{else}День народження через {daysLeft:one=# день|few=# дні|many=# днів|other=# дня}{/if}: {name}{if age} ({age}){/if}',
+        reminderTitle: 'Нагадування про день народження',
+        calendarName: 'Дні народження',
+        memorialBirthdayTemplate: '{name}{if age}: виповнилося б {age:one=# рік|few=# роки|many=# років|other=# року}{/if}',
+        memorialDayTemplate: '{name}{if yearsSincePassing}: {yearsSincePassing:one=# рік|few=# роки|many=# років|other=# року} з дня смерті{/if}',
+    },
+    'zh-cn': {
+        nextTextTemplate: '{name} 将满 {age} 岁',
+        nextTextTemplateNoAge: '{name}',
+        currentAgeTemplate: '{years} 岁 {months} 个月 {days} 天',
+        reminderTemplate: '{if today}今天生日{elif tomorrow}明天生日{else}{daysLeft} 天后生日{/if}：{name}{if age}（{age}）{/if}',
+        reminderTitle: '生日提醒',
+        calendarName: '生日',
+        memorialBirthdayTemplate: '{name}{if age} 冥寿 {age} 岁{/if}',
+        memorialDayTemplate: '{name}{if yearsSincePassing} 逝世 {yearsSincePassing} 周年{/if}',
+    },
+};
+
+/**
+ * @param {any} language e.g. language of system.config (unsupported languages fall back to English)
+ * @returns {Language}
+ */
+function getLanguage(language) {
+    const lang = String(language ?? '').toLowerCase();
+    return /** @type {Language | undefined} */ (LANGUAGES.find((l) => l === lang)) ?? 'en';
+}
+
+/**
+ * @param {Language} language
+ * @param {TextKey} key
+ * @returns {string}
+ */
+function getDefaultText(language, key) {
+    return (DEFAULT_TEXTS[language] ?? DEFAULT_TEXTS.en)[key];
+}
+
+// Defaults of previous versions (legacy placeholders) - unmodified templates of existing instances are localized as well
+/** @type {Partial<Record<TextKey, string[]>>} */
+const LEGACY_DEFAULT_TEXTS = {
+    nextTextTemplate: ['%n turns %a'],
+    currentAgeTemplate: ['%y years, %m months and %d days'],
+};
+
+/**
+ * @param {Language} language
+ * @param {TextKey} key
+ * @param {any} value configured value
+ * @returns {string} configured value or default of the language (if empty or default of another language)
+ */
+function getLocalizedText(language, key, value) {
+    if (!value || LANGUAGES.some((l) => DEFAULT_TEXTS[l][key] === value) || LEGACY_DEFAULT_TEXTS[key]?.includes(value)) {
+        return getDefaultText(language, key);
+    }
+
+    return String(value);
+}
+
+module.exports = {
+    LANGUAGES,
+    getLanguage,
+    getDefaultText,
+    getLocalizedText,
+};
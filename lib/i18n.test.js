@@ -0,0 +1,52 @@
+'use strict';
+
+const { expect } = require('chai');
+const { LANGUAGES, getLanguage, getDefaultText, getLocalizedText } = require('./i18n');
+const { renderTemplate, validateTemplate } = require('./template');
+
+describe('i18n', () => {
+    describe('getLanguage', () => {
+        it('should fall back to english', () => {
+            expect(getLanguage('de')).to.equal('de');
+            expect(getLanguage('zh-CN')).to.equal('zh-cn');
+            expect(getLanguage('xx')).to.equal('en');
+            expect(getLanguage(undefined)).to.equal('en');
+        });
+    });
+
+    describe('getDefaultText', () => {
+        it('should provide valid templates for all languages', () => {
+            for (const language of LANGUAGES) {
+                for (const key of /** @type {const} */ (['nextTextTemplate', 'nextTextTemplateNoAge', 'currentAgeTemplate', 'reminderTemplate', 'memorialBirthdayTemplate', 'memorialDayTemplate'])) {
+                    expect(validateTemplate(getDefaultText(language, key)), `${language}.${key}`).to.equal(null);
+                }
+            }
+        });
+
+        it('should use the plural rules of the language', () => {
+            const template = getDefaultText('ru', 'nextTextTemplate');
+
+            expect(renderTemplate(template, { name: 'Anna', age: 21 }, { locale: 'ru' })).to.equal('Anna: 21 год');
+            expect(renderTemplate(template, { name: 'Anna', age: 22 }, { locale: 'ru' })).to.equal('Anna: 22 года');
+            expect(renderTemplate(template, { name: 'Anna', age: 25 }, { locale: 'ru' })).to.equal('Anna: 25 лет');
+        });
+    });
+
+    describe('getLocalizedText', () => {
+        it('should replace empty values and defaults of other languages', () => {
+            expect(getLocalizedText('de', 'nextTextTemplate', '')).to.equal('{name} wird {age}');
+            expect(getLocalizedText('de', 'nextTextTemplate', '{name} turns {age}')).to.equal('{name} wird {age}');
+            expect(getLocalizedText('en', 'calendarName', 'Geburtstage')).to.equal('Birthdays');
+        });
+
+        it('should replace defaults of previous versions', () => {
+            expect(getLocalizedText('de', 'nextTextTemplate', '%n turns %a')).to.equal('{name} wird {age}');
+            expect(getLocalizedText('de', 'currentAgeTemplate', '%y years, %m months and %d days')).to.equal('{years:# Jahr|# Jahre}, {months:# Monat|# Monate} und {days:# Tag|# Tage}');
+            expect(getLocalizedText('en', 'currentAgeTemplate', '%y years, %m months and %d days')).to.equal('{years:# year|# years}, {months:# month|# months} and {days:# day|# days}');
+        });
+
+        it('should keep custom values', () => {
+            expect(getLocalizedText('de', 'nextTextTemplate', '{name} ({age})')).to.equal('{name} ({age})');
+        });
+    });
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const ICAL = require('ical.js');
+
+/**
+ * Recurrence of iCal birthday events
+ *
+ * - Occurrences are expanded by the recurrence rule of ical.js (RRULE, EXDATE)
+ * - Overrides of single occurrences (RECURRENCE-ID) are related to the recurring event with the same UID (moved or cancelled occurrences)
+ * - DATE values are floating (day and month are used as defined in the calendar - independent of the timezone of the host)
+ *
+ * @typedef {{ year: number, month: number, day: number }} Occurrence floating date (month 1-12)
+ * @typedef {{ recurring: boolean, yearly: boolean, cancelled: boolean, ended: boolean, occurrences: Occurrence[] }} Recurrence
+ */
+
+// Limit iterations of (invalid) recurrence rules like FREQ=SECONDLY
+const MAX_ITERATIONS = 1000;
+
+// Upcoming occurrences per event (covers at least two leap years)
+const MAX_OCCURRENCES = 10;
+
+/**
+ * @param {any[]} vevents ICAL.Component[]
+ * @returns {any[]} ICAL.Event[] without overrides (overrides without recurring event are returned as single events)
+ */
+function getMasterEvents(vevents) {
+    // ical.js relates all overrides of the calendar to every event by default (without checking the UID)
+    const events = vevents.map((vevent) => new ICAL.Event(vevent, { strictExceptions: true, exceptions: [] }));
+    const masters = events.filter((event) => !event.isRecurrenceException());
+
+    for (const exception of events.filter((event) => event.isRecurrenceException())) {
+        const master = masters.find((event) => event.uid === exception.uid && event.isRecurring());
+
+        if (master) {
+            master.relateException(exception);
+        } else {
+            masters.push(exception);
+        }
+    }
+
+    return masters;
+}
+
+/**
+ * @param {any} event ICAL.Event or ICAL.Component
+ * @returns {boolean}
+ */
+function isCancelled(event) {
+    const component = event.component ?? event;
+    return String(component.getFirstPropertyValue('status') ?? '').toUpperCase() === 'CANCELLED';
+}
+
+/**
+ * Floating date of an ICAL.Time (month 1-12)
+ *
+ * @param {any} time ICAL.Time
+ * @returns {Occurrence}
+ */
+function getFloatingDate(time) {
+    return { year: time.year, month: time.month, day: time.day };
+}
+
+/**
+ * @param {any} event ICAL.Event (master event)
+ * @param {Occurrence} today
+ * @returns {Recurrence} upcoming occurrences of yearly rules (on or after today, sorted by date)
+ */
+function getRecurrence(event, today) {
+    /** @type {Occurrence[]} */
+    const occurrences = [];
+    const recurring = event.isRecurring();
+
+    if (!recurring) {
+        return { recurring, yearly: false, cancelled: isCancelled(event), ended: false, occurrences };
+    }
+
+    const rules = event.component.getAllProperties('rrule').map((prop) => prop.getFirstValue());
+    const yearly = rules.every((recur) => recur.freq === 'YEARLY' && (recur.interval ?? 1) === 1);
+
+    // Other frequencies (e.g. FREQ=MONTHLY) are not expanded - lenient mode keeps the yearly date of the start
+    const expand = rules.every((recur) => recur.freq === 'YEARLY');
+
+    const todayTime = new ICAL.Time({ ...today, isDate: true });
+    const iterator = event.iterator();
+    let ended = false;
+    let upcoming = false;
+
+    for (let i = 0; i < MAX_ITERATIONS && occurrences.length < MAX_OCCURRENCES; i++) {
+        const next = iterator.next();
+
+        // Recurrence might end (UNTIL or COUNT)
+        if (!next) {
+            ended = !upcoming;
+            break;
+        }
+
+        // Overrides move or cancel single occurrences
+        const details = event.getOccurrenceDetails(next);
+        const occurrence = getFloatingDate(details.startDate);
+
+        if (!isCancelled(details.item) && new ICAL.Time({ ...occurrence, isDate: true }).compare(todayTime) >= 0) {
+            upcoming = true;
+
+            if (!expand) {
+                break;
+            }
+
+            occurrences.push(occurrence);
+        }
+    }
+
+    occurrences.sort((a, b) => a.year - b.year || a.month - b.month || a.day - b.day);
+
+    return { recurring, yearly, cancelled: isCancelled(event), ended, occurrences };
+}
+
+module.exports = {
+    getMasterEvents,
+    getFloatingDate,
+    getRecurrence,
+};
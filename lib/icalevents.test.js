@@ -0,0 +1,106 @@
+'use strict';
+
+const { expect } = require('chai');
+const ICAL = require('ical.js');
+const { getMasterEvents, getFloatingDate, getRecurrence } = require('./icalevents');
+
+const parseEvents = (events) => {
+    const ics = ['BEGIN:VCALENDAR', 'VERSION:2.0', ...events.flatMap((properties) => ['BEGIN:VEVENT', ...properties, 'END:VEVENT']), 'END:VCALENDAR'].join('\r\n');
+    return getMasterEvents(new ICAL.Component(ICAL.parse(ics)).getAllSubcomponents('vevent'));
+};
+
+describe('icalevents', () => {
+    const today = { year: 2023, month: 7, day: 1 };
+
+    describe('getMasterEvents', () => {
+        it('should relate overrides to the recurring event', () => {
+            const events = parseEvents([
+                ['UID:anna', 'DTSTART;VALUE=DATE:19900715', 'RRULE:FREQ=YEARLY', 'SUMMARY:Anna'],
+                ['UID:anna', 'RECURRENCE-ID;VALUE=DATE:20230715', 'DTSTART;VALUE=DATE:20230716', 'SUMMARY:Anna (party)'],
+                ['UID:orphan', 'RECURRENCE-ID;VALUE=DATE:20230801', 'DTSTART;VALUE=DATE:20230801', 'SUMMARY:Max'],
+            ]);
+
+            expect(events.map((event) => event.summary)).to.deep.equal(['Anna', 'Max']);
+        });
+    });
+
+    describe('getFloatingDate', () => {
+        it('should use the date as defined in the calendar', () => {
+            const [event] = parseEvents([['UID:anna', 'DTSTART;VALUE=DATE:19900101', 'RRULE:FREQ=YEARLY', 'SUMMARY:Anna']]);
+            expect(getFloatingDate(event.startDate)).to.deep.equal({ year: 1990, month: 1, day: 1 });
+        });
+    });
+
+    describe('getRecurrence', () => {
+        it('should detect valid yearly events', () => {
+            const [event] = parseEvents([['UID:anna', 'DTSTART;VALUE=DATE:19900715', 'RRULE:FREQ=YEARLY', 'SUMMARY:Anna']]);
+            const recurrence = getRecurrence(event, today);
+
+            expect(recurrence).to.include({ recurring: true, yearly: true, cancelled: false, ended: false });
+            expect(recurrence.occurrences).to.have.length(10);
+            expect(recurrence.occurrences[0]).to.deep.equal({ year: 2023, month: 7, day: 15 });
+        });
+
+        it('should detect invalid events', () => {
+            const [single, monthly, cancelled, ended] = parseEvents([
+                ['UID:1', 'DTSTART;VALUE=DATE:19900715', 'SUMMARY:Single'],
+                ['UID:2', 'DTSTART;VALUE=DATE:19900715', 'RRULE:FREQ=MONTHLY', 'SUMMARY:Monthly'],
+                ['UID:3', 'DTSTART;VALUE=DATE:19900715', 'RRULE:FREQ=YEARLY', 'STATUS:CANCELLED', 'SUMMARY:Cancelled'],
+                ['UID:4', 'DTSTART;VALUE=DATE:19900715', 'RRULE:FREQ=YEARLY;UNTIL=20200715', 'SUMMARY:Ended'],
+            ]);
+
+            expect(getRecurrence(single, today).recurring).to.equal(false);
+            expect(getRecurrence(monthly, today).yearly).to.equal(false);
+            expect(getRecurrence(cancelled, today).cancelled).to.equal(true);
+            expect(getRecurrence(ended, today).ended).to.equal(true);
+        });
+
+        it('should skip excluded and cancelled occurrences and use moved occurrences', () => {
+            const [event, other] = parseEvents([
+                ['UID:anna', 'DTSTART;VALUE=DATE:19900715', 'RRULE:FREQ=YEARLY', 'EXDATE;VALUE=DATE:20220715', 'SUMMARY:Anna'],
+                ['UID:anna', 'RECURRENCE-ID;VALUE=DATE:20230715', 'DTSTART;VALUE=DATE:20230716', 'SUMMARY:Anna'],
+                ['UID:anna', 'RECURRENCE-ID;VALUE=DATE:20240715', 'DTSTART;VALUE=DATE:20240715', 'STATUS:CANCELLED', 'SUMMARY:Anna'],
+                ['UID:max', 'DTSTART;VALUE=DATE:19900715', 'RRULE:FREQ=YEARLY', 'SUMMARY:Max'],
+            ]);
+
+            expect(getRecurrence(event, { year: 2022, month: 1, day: 1 }).occurrences.slice(0, 3)).to.deep.equal([
+                { year: 2023, month: 7, day: 16 },
+                { year: 2025, month: 7, day: 15 },
+                { year: 2026, month: 7, day: 15 },
+            ]);
+            expect(getRecurrence(other, { year: 2022, month: 1, day: 1 }).occurrences[0]).to.deep.equal({ year: 2022, month: 7, day: 15 });
+        });
+
+        it('should follow the recurrence rule', () => {
+            const [biennial, monthDay, count] = parseEvents([
+                ['UID:1', 'DTSTART;VALUE=DATE:19900715', 'RRULE:FREQ=YEARLY;INTERVAL=2', 'SUMMARY:Biennial'],
+                ['UID:2', 'DTSTART;VALUE=DATE:19900715', 'RRULE:FREQ=YEARLY;BYMONTH=7;BYMONTHDAY=20', 'SUMMARY:Month day'],
+                ['UID:3', 'DTSTART;VALUE=DATE:20200715', 'RRULE:FREQ=YEARLY;COUNT=5', 'SUMMARY:Count'],
+            ]);
+
+            expect(getRecurrence(biennial, today).occurrences.slice(0, 2)).to.deep.equal([
+                { year: 2024, month: 7, day: 15 },
+                { year: 2026, month: 7, day: 15 },
+            ]);
+            expect(getRecurrence(monthDay, today).occurrences[0]).to.deep.equal({ year: 2023, month: 7, day: 20 });
+            expect(getRecurrence(count, today)).to.deep.include({
+                ended: false,
+                occurrences: [
+                    { year: 2023, month: 7, day: 15 },
+                    { year: 2024, month: 7, day: 15 },
+                ],
+            });
+            expect(getRecurrence(count, { year: 2025, month: 1, day: 1 })).to.deep.include({ ended: true, occurrences: [] });
+        });
+
+        it('should not expand other frequencies (lenient mode)', () => {
+            const [monthly, ended] = parseEvents([
+                ['UID:1', 'DTSTART;VALUE=DATE:19800615', 'RRULE:FREQ=MONTHLY', 'SUMMARY:Monthly'],
+                ['UID:2', 'DTSTART;VALUE=DATE:19800615', 'RRULE:FREQ=MONTHLY;COUNT=3', 'SUMMARY:Ended'],
+            ]);
+
+            expect(getRecurrence(monthly, today)).to.deep.include({ yearly: false, ended: false, occurrences: [] });
+            expect(getRecurrence(ended, today)).to.deep.include({ yearly: false, ended: true, occurrences: [] });
+        });
+    });
+});
@@ -0,0 +1,97 @@
+'use strict';
+
+const crypto = require('node:crypto');
+const ICAL = require('ical.js');
+const { isLeapDay } = require('./dates');
+
+/**
+ * iCal export of all birthdays (subscribed by calendar clients)
+ *
+ * - one yearly all-day event per birthday (leap day birthdays follow the leap day policy)
+ * - UIDs must not change between exports (calendar clients would create duplicates)
+ *
+ * @typedef {{ type: string, name: string, birthYear?: number | null, _birthday: import('moment').Moment, summary: string }} ExportEvent
+ * @typedef {{ calendarName: string, leapDayPolicy: string, alarm?: { hour: number, daysBefore: number } | null, now?: Date }} ExportOptions
+ */
+
+/**
+ * @param {{ type: string, name: string, _birthday: import('moment').Moment }} birthday
+ * @returns {string}
+ */
+function getIcalExportUid(birthday) {
+    const date = birthday._birthday.format('MM-DD');
+    const hash = crypto.createHash('sha1').update(`${birthday.type}:${birthday.name}:${date}`).digest('hex');
+
+    return `${hash}@birthdays.iobroker`;
+}
+
+/**
+ * @param {import('moment').Moment} date birthday
+ * @param {string} leapDayPolicy
+ * @returns {string} RRULE
+ */
+function getIcalExportRule(date, leapDayPolicy) {
+    if (isLeapDay(date)) {
+        if (leapDayPolicy === 'feb28') {
+            return 'FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=-1';
+        } else if (leapDayPolicy === 'mar1') {
+            return 'FREQ=YEARLY;BYYEARDAY=60';
+        }
+    }
+
+    return 'FREQ=YEARLY';
+}
+
+/**
+ * @param {ExportEvent[]} events
+ * @param {ExportOptions} options
+ * @returns {string}
+ */
+function createIcalExport(events, options) {
+    const calendar = new ICAL.Component('vcalendar');
+    calendar.addPropertyWithValue('prodid', '-//ioBroker//birthdays//EN');
+    calendar.addPropertyWithValue('version', '2.0');
+    calendar.addPropertyWithValue('calscale', 'GREGORIAN');
+    calendar.addPropertyWithValue('x-wr-calname', options.calendarName);
+
+    const dtstamp = ICAL.Time.fromJSDate(options.now ?? new Date(), true);
+
+    for (const birthday of events) {
+        const date = birthday._birthday;
+        // Clients don't like very old dates - use leap year 2000 for birthdays without year
+        const dtstart = ICAL.Time.fromData({ year: birthday.birthYear ?? 2000, month: date.month() + 1, day: date.date(), isDate: true });
+        const dtend = dtstart.clone();
+        dtend.adjust(1, 0, 0, 0);
+
+        const event = new ICAL.Component('vevent');
+        event.addPropertyWithValue('uid', getIcalExportUid(birthday));
+        event.addPropertyWithValue('dtstamp', dtstamp);
+        event.addPropertyWithValue('dtstart', dtstart);
+        event.addPropertyWithValue('dtend', dtend);
+        event.addPropertyWithValue('rrule', ICAL.Recur.fromString(getIcalExportRule(date, options.leapDayPolicy)));
+        event.addPropertyWithValue('summary', birthday.summary);
+        event.addPropertyWithValue('transp', 'TRANSPARENT');
+        event.addPropertyWithValue('categories', 'Birthday');
+
+        if (options.alarm) {
+            // Relative to start of day
+            const triggerMinutes = options.alarm.hour * 60 - options.alarm.daysBefore * 24 * 60;
+
+            const alarm = new ICAL.Component('valarm');
+            alarm.addPropertyWithValue('action', 'DISPLAY');
+            alarm.addPropertyWithValue('description', birthday.summary);
+            alarm.addPropertyWithValue('trigger', ICAL.Duration.fromSeconds(triggerMinutes * 60));
+            event.addSubcomponent(alarm);
+        }
+
+        calendar.addSubcomponent(event);
+    }
+
+    return calendar.toString();
+}
+
+module.exports = {
+    getIcalExportUid,
+    getIcalExportRule,
+    createIcalExport,
+};
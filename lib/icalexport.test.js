@@ -0,0 +1,64 @@
+'use strict';
+
+const { expect } = require('chai');
+const moment = require('moment');
+const ICAL = require('ical.js');
+const { getIcalExportUid, getIcalExportRule, createIcalExport } = require('./icalexport');
+
+const parseEvents = (data) => new ICAL.Component(ICAL.parse(data)).getAllSubcomponents('vevent');
+
+describe('icalexport', () => {
+    describe('getIcalExportUid', () => {
+        it('should be stable for type, name and day', () => {
+            const birthday = { type: 'birthday', name: 'Jane', _birthday: moment({ year: 1980, month: 5, date: 15 }) };
+
+            expect(getIcalExportUid(birthday)).to.match(/^[0-9a-f]{40}@birthdays\.iobroker$/);
+            expect(getIcalExportUid({ ...birthday, _birthday: moment({ year: 1990, month: 5, date: 15 }) })).to.equal(getIcalExportUid(birthday));
+            expect(getIcalExportUid({ ...birthday, type: 'anniversary' })).to.not.equal(getIcalExportUid(birthday));
+        });
+    });
+
+    describe('getIcalExportRule', () => {
+        it('should follow the leap day policy', () => {
+            const leapDay = moment({ year: 2000, month: 1, date: 29 });
+
+            expect(getIcalExportRule(moment({ year: 1980, month: 5, date: 15 }), 'feb28')).to.equal('FREQ=YEARLY');
+            expect(getIcalExportRule(leapDay, 'feb28')).to.equal('FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=-1');
+            expect(getIcalExportRule(leapDay, 'mar1')).to.equal('FREQ=YEARLY;BYYEARDAY=60');
+            expect(getIcalExportRule(leapDay, 'leapOnly')).to.equal('FREQ=YEARLY');
+        });
+    });
+
+    describe('createIcalExport', () => {
+        const events = [
+            { type: 'birthday', name: 'Jane', birthYear: 1980, _birthday: moment({ year: 1980, month: 5, date: 15 }), summary: 'Jane (46)' },
+            { type: 'birthday', name: 'John', birthYear: null, _birthday: moment({ year: 1604, month: 1, date: 29 }), summary: 'John' },
+        ];
+
+        it('should create yearly all-day events', () => {
+            const data = createIcalExport(events, { calendarName: 'Birthdays', leapDayPolicy: 'mar1', now: new Date(Date.UTC(2026, 9, 19)) });
+            const [jane, john] = parseEvents(data);
+
+            expect(data).to.contain('X-WR-CALNAME:Birthdays');
+            expect(jane.getFirstPropertyValue('uid')).to.equal(getIcalExportUid(events[0]));
+            expect(jane.getFirstPropertyValue('dtstart').toString()).to.equal('1980-06-15');
+            expect(jane.getFirstPropertyValue('dtend').toString()).to.equal('1980-06-16');
+            expect(jane.getFirstPropertyValue('rrule').toString()).to.equal('FREQ=YEARLY');
+            expect(jane.getFirstPropertyValue('summary')).to.equal('Jane (46)');
+            expect(jane.getFirstSubcomponent('valarm')).to.equal(null);
+
+            // Without birth year
+            expect(john.getFirstPropertyValue('dtstart').toString()).to.equal('2000-02-29');
+            expect(john.getFirstPropertyValue('rrule').toString()).to.equal('FREQ=YEARLY;BYYEARDAY=60');
+        });
+
+        it('should add alarms relative to the start of day', () => {
+            const data = createIcalExport(events, { calendarName: 'Birthdays', leapDayPolicy: 'feb28', alarm: { hour: 9, daysBefore: 1 } });
+            const alarm = parseEvents(data)[0].getFirstSubcomponent('valarm');
+
+            expect(alarm.getFirstPropertyValue('action')).to.equal('DISPLAY');
+            expect(alarm.getFirstPropertyValue('description')).to.equal('Jane (46)');
+            expect(alarm.getFirstPropertyValue('trigger').toString()).to.equal('-PT15H');
+        });
+    });
+});
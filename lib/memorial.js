@@ -0,0 +1,182 @@
+'use strict';
+
+const moment = require('moment');
+const { getAge } = require('./dates');
+
+/**
+ * Memorial dates of deceased people
+ *
+ * - vCard: DEATHDATE (RFC 6474)
+ * - settings table and imported files: date of death (YYYY-MM-DD, --MM-DD or YYYY)
+ * - iCal: configurable marker in the summary or in the categories - the date of death might follow the marker (e.g. "Grandpa † 2015-03-12")
+ *
+ * @typedef {{ year: number | null, month: number | null, day: number | null }} Death parts of the date of death might be unknown
+ */
+
+// Placeholder for dates of death without known year (leap year to keep February 29)
+const UNKNOWN_YEAR = 1604;
+
+const DEATH_DATE_REGEX = /^(?:(\d{4})(?:-?(\d{2})-?(\d{2}))?|--(\d{2})-?(\d{2}))(?:T.*)?$/;
+
+/**
+ * @param {any} value string or date object of ical.js (VCardTime)
+ * @returns {Death | null} null if empty
+ */
+function parseDeathDate(value) {
+    if (value && typeof value === 'object' && 'month' in value && 'day' in value) {
+        return { year: value.year || null, month: value.month || null, day: value.day || null };
+    }
+
+    const str = String(value ?? '').trim();
+    if (!str) {
+        return null;
+    }
+
+    const match = DEATH_DATE_REGEX.exec(str);
+    const death = match
+        ? {
+              year: match[1] ? parseInt(match[1]) : null,
+              month: match[2] || match[4] ? parseInt(match[2] ?? match[4]) : null,
+              day: match[3] || match[5] ? parseInt(match[3] ?? match[5]) : null,
+          }
+        : null;
+
+    if (!death || (death.month !== null && !toMoment(death).isValid())) {
+        throw new Error(`invalid date of death "${str}" (expected YYYY-MM-DD, --MM-DD or YYYY)`);
+    }
+
+    return death;
+}
+
+/**
+ * @param {Death} death
+ * @returns {boolean} day and month are known (memorial day)
+ */
+function hasDeathDay(death) {
+    return death.month !== null && death.day !== null;
+}
+
+/**
+ * @param {Death} death
+ * @returns {moment.Moment} unknown years are replaced by a placeholder
+ */
+function toMoment(death) {
+    return moment({ year: death.year ?? UNKNOWN_YEAR, month: (death.month ?? 1) - 1, day: death.day ?? 1 });
+}
+
+/**
+ * @param {Death | null | undefined} death
+ * @returns {string} YYYY-MM-DD, --MM-DD, YYYY or empty string
+ */
+function formatDeathDate(death) {
+    if (!death) {
+        return '';
+    } else if (!hasDeathDay(death)) {
+        return death.year ? String(death.year) : '';
+    }
+
+    return toMoment(death).format(death.year ? 'YYYY-MM-DD' : '--MM-DD');
+}
+
+/**
+ * @param {Death} death
+ * @param {moment.Moment} birthday
+ * @param {boolean} yearKnown year of birth is known
+ * @param {moment.Moment} today
+ * @returns {string | null} problem or null if valid
+ */
+function getDeathProblem(death, birthday, yearKnown, today) {
+    if (death.year !== null && death.year > today.year()) {
+        return 'date of death is in the future';
+    } else if (death.year !== null && hasDeathDay(death) && toMoment(death).isAfter(today)) {
+        return 'date of death is in the future';
+    } else if (yearKnown && death.year !== null && (death.year < birthday.year() || (hasDeathDay(death) && toMoment(death).isBefore(birthday)))) {
+        return 'date of death is before the date of birth';
+    }
+
+    return null;
+}
+
+/**
+ * @param {moment.Moment} birthday
+ * @param {boolean} yearKnown year of birth is known
+ * @param {Death} death
+ * @param {moment.Moment} date e.g. date of the next birthday or memorial day
+ * @param {string} [policy] leap day policy
+ * @returns {{ ageAtDeath: number | null, yearsSincePassing: number | null }}
+ */
+function getMemorialYears(birthday, yearKnown, death, date, policy) {
+    if (death.year === null) {
+        return { ageAtDeath: null, yearsSincePassing: null };
+    }
+
+    const deathDate = toMoment(death);
+
+    return {
+        ageAtDeath: yearKnown && hasDeathDay(death) ? getAge(birthday, deathDate, policy).years : null,
+        yearsSincePassing: hasDeathDay(death) ? getAge(deathDate, date, policy).years : date.year() - death.year,
+    };
+}
+
+/**
+ * @param {...(Death | null | undefined)} deaths ordered by priority
+ * @returns {Death | null} most complete date of death
+ */
+function mergeDeaths(...deaths) {
+    const known = /** @type {Death[]} */ (deaths.filter((death) => !!death));
+
+    return known.find((death) => death.year !== null && hasDeathDay(death)) ?? known.find((death) => hasDeathDay(death)) ?? known.find((death) => death.year !== null) ?? known[0] ?? null;
+}
+
+/**
+ * @param {string} summary
+ * @param {string[]} categories
+ * @param {string} [marker] e.g. †
+ * @returns {{ name: string, death: Death | null }} summary without marker (and date of death)
+ */
+function extractMemorialMarker(summary, categories, marker) {
+    const tag = String(marker ?? '').trim();
+    const name = String(summary ?? '');
+
+    if (!tag) {
+        return { name, death: null };
+    }
+
+    const tagIndex = name.toLowerCase().indexOf(tag.toLowerCase());
+
+    if (tagIndex !== -1) {
+        const rest = name.slice(tagIndex + tag.length);
+        let dateMatch = /^\s*(\d{4}(?:-\d{2}-\d{2})?|--\d{2}-?\d{2})(?=\s|$)/.exec(rest);
+
+        // Invalid dates are kept in the name
+        /** @type {Death} */
+        let death = { year: null, month: null, day: null };
+        try {
+            death = (dateMatch && parseDeathDate(dateMatch[1])) || death;
+        } catch {
+            dateMatch = null;
+        }
+
+        return {
+            name: (name.slice(0, tagIndex) + rest.slice(dateMatch ? dateMatch[0].length : 0)).replace(/\s+/g, ' ').trim(),
+            death,
+        };
+    }
+
+    if (categories.some((category) => String(category).trim().toLowerCase() === tag.toLowerCase())) {
+        return { name, death: { year: null, month: null, day: null } };
+    }
+
+    return { name, death: null };
+}
+
+module.exports = {
+    parseDeathDate,
+    hasDeathDay,
+    toMoment,
+    formatDeathDate,
+    getDeathProblem,
+    getMemorialYears,
+    mergeDeaths,
+    extractMemorialMarker,
+};
@@ -0,0 +1,83 @@
+'use strict';
+
+const { expect } = require('chai');
+const moment = require('moment');
+const { parseDeathDate, formatDeathDate, getDeathProblem, getMemorialYears, mergeDeaths, extractMemorialMarker } = require('./memorial');
+
+describe('memorial', () => {
+    const today = moment({ year: 2023, month: 6, day: 1 });
+
+    describe('parseDeathDate', () => {
+        it('should parse full and partial dates', () => {
+            expect(parseDeathDate('2015-03-12')).to.deep.equal({ year: 2015, month: 3, day: 12 });
+            expect(parseDeathDate('20150312')).to.deep.equal({ year: 2015, month: 3, day: 12 });
+            expect(parseDeathDate('--0312')).to.deep.equal({ year: null, month: 3, day: 12 });
+            expect(parseDeathDate('2015')).to.deep.equal({ year: 2015, month: null, day: null });
+            expect(parseDeathDate({ year: 2015, month: 3, day: 12 })).to.deep.equal({ year: 2015, month: 3, day: 12 });
+            expect(parseDeathDate('')).to.equal(null);
+        });
+
+        it('should throw on invalid dates', () => {
+            expect(() => parseDeathDate('12.03.2015')).to.throw('invalid date of death');
+            expect(() => parseDeathDate('2015-02-30')).to.throw('invalid date of death');
+        });
+    });
+
+    describe('formatDeathDate', () => {
+        it('should format known parts', () => {
+            expect(formatDeathDate({ year: 2015, month: 3, day: 12 })).to.equal('2015-03-12');
+            expect(formatDeathDate({ year: null, month: 3, day: 12 })).to.equal('--03-12');
+            expect(formatDeathDate({ year: 2015, month: null, day: null })).to.equal('2015');
+            expect(formatDeathDate(null)).to.equal('');
+        });
+    });
+
+    describe('getDeathProblem', () => {
+        const birthday = moment({ year: 1930, month: 4, day: 5 });
+
+        it('should detect invalid dates of death', () => {
+            expect(getDeathProblem({ year: 2015, month: 3, day: 12 }, birthday, true, today)).to.equal(null);
+            expect(getDeathProblem({ year: 2024, month: null, day: null }, birthday, true, today)).to.equal('date of death is in the future');
+            expect(getDeathProblem({ year: 1930, month: 1, day: 1 }, birthday, true, today)).to.equal('date of death is before the date of birth');
+            expect(getDeathProblem({ year: 1930, month: 1, day: 1 }, birthday, false, today)).to.equal(null);
+        });
+    });
+
+    describe('getMemorialYears', () => {
+        const birthday = moment({ year: 1930, month: 4, day: 5 });
+
+        it('should calculate age at death and years since passing', () => {
+            expect(getMemorialYears(birthday, true, { year: 2015, month: 3, day: 12 }, today)).to.deep.equal({ ageAtDeath: 84, yearsSincePassing: 8 });
+            expect(getMemorialYears(birthday, true, { year: 2015, month: 8, day: 12 }, today)).to.deep.equal({ ageAtDeath: 85, yearsSincePassing: 7 });
+        });
+
+        it('should handle unknown parts', () => {
+            expect(getMemorialYears(birthday, false, { year: 2015, month: 3, day: 12 }, today)).to.deep.equal({ ageAtDeath: null, yearsSincePassing: 8 });
+            expect(getMemorialYears(birthday, true, { year: 2015, month: null, day: null }, today)).to.deep.equal({ ageAtDeath: null, yearsSincePassing: 8 });
+            expect(getMemorialYears(birthday, true, { year: null, month: 3, day: 12 }, today)).to.deep.equal({ ageAtDeath: null, yearsSincePassing: null });
+        });
+    });
+
+    describe('mergeDeaths', () => {
+        it('should prefer the most complete date', () => {
+            expect(mergeDeaths(undefined, { year: 2015, month: null, day: null }, { year: 2015, month: 3, day: 12 })).to.deep.equal({ year: 2015, month: 3, day: 12 });
+            expect(mergeDeaths({ year: null, month: null, day: null }, { year: 2015, month: null, day: null })).to.deep.equal({ year: 2015, month: null, day: null });
+            expect(mergeDeaths(undefined, null)).to.equal(null);
+        });
+    });
+
+    describe('extractMemorialMarker', () => {
+        it('should remove the marker and the date of death from the name', () => {
+            expect(extractMemorialMarker('Grandpa † 2015-03-12', [], '†')).to.deep.equal({ name: 'Grandpa', death: { year: 2015, month: 3, day: 12 } });
+            expect(extractMemorialMarker('Grandpa †2015 (Hamburg)', [], '†')).to.deep.equal({ name: 'Grandpa (Hamburg)', death: { year: 2015, month: null, day: null } });
+            expect(extractMemorialMarker('† Grandma', [], '†')).to.deep.equal({ name: 'Grandma', death: { year: null, month: null, day: null } });
+            expect(extractMemorialMarker('Grandma † 2015-02-30', [], '†')).to.deep.equal({ name: 'Grandma 2015-02-30', death: { year: null, month: null, day: null } });
+        });
+
+        it('should detect the marker in the categories', () => {
+            expect(extractMemorialMarker('Grandma', ['Family', 'Deceased'], 'deceased')).to.deep.equal({ name: 'Grandma', death: { year: null, month: null, day: null } });
+            expect(extractMemorialMarker('Anna', ['Family'], '†')).to.deep.equal({ name: 'Anna', death: null });
+            expect(extractMemorialMarker('Anna †', [], '')).to.deep.equal({ name: 'Anna †', death: null });
+        });
+    });
+});
@@ -0,0 +1,182 @@
+'use strict';
+
+const { mergeGroups } = require('./groups');
+const { mergeDeaths } = require('./memorial');
+
+/**
+ * Cross-source identity resolution
+ *
+ * Entries of the same event type are merged if they share a UID (vCard / iCal) or if their normalized names and
+ * dates (day and month) are equal. The entry of the source with the highest priority wins - missing birth years
+ * are taken from other sources with the same date. Groups of all merged entries are combined, the most complete
+ * date of death is used.
+ *
+ * @typedef {{ type: string, label: string, stale?: boolean }} Source
+ * @typedef {import('./icalevents').Occurrence} Occurrence
+ * @typedef {import('./memorial').Death} Death
+ * @typedef {{ name: string, birthday: import('moment').Moment, yearKnown: boolean, type: string, uid?: string, occurrences?: Occurrence[], groups?: string[], death?: Death | null, source: Source }} SourceEntry
+ * @typedef {{ name: string, birthday: import('moment').Moment, yearKnown: boolean, type: string, uid?: string, occurrences?: Occurrence[], groups: string[], death: Death | null, source: Source, sources: Source[] }} MergedEntry
+ * @typedef {{ type: string, name: string, resolved: boolean, date: string | null, sources: Array<Source & { name: string, date: string }> }} Conflict
+ */
+
+/**
+ * "Müller, Anna" and "Anna Mueller" are both normalized to "anna mueller"
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+    return String(name ?? '')
+        .toLowerCase()
+        .replace(/ä/g, 'ae')
+        .replace(/ö/g, 'oe')
+        .replace(/ü/g, 'ue')
+        .replace(/ß/g, 'ss')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean)
+        .sort()
+        .join(' ');
+}
+
+/**
+ * @param {string} [sourcePriority] comma separated list of source types (settings, file, carddav, ical) and/or labels
+ * @returns {string[]}
+ */
+function parseSourcePriority(sourcePriority) {
+    return String(sourcePriority ?? '')
+        .split(',')
+        .map((source) => source.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * @param {Source} source
+ * @param {string[]} priorities
+ * @returns {number} lower is more important (unlisted sources come last)
+ */
+function getSourcePriority(source, priorities) {
+    const index = priorities.findIndex((priority) => priority === String(source.label).toLowerCase() || priority === String(source.type).toLowerCase());
+    return index === -1 ? priorities.length : index;
+}
+
+/**
+ * @param {{ birthday: import('moment').Moment, yearKnown: boolean }} entry
+ * @returns {string}
+ */
+function formatEntryDate(entry) {
+    return entry.birthday.format(entry.yearKnown ? 'YYYY-MM-DD' : '--MM-DD');
+}
+
+/**
+ * @param {SourceEntry[]} entries
+ * @param {string[]} [priorities]
+ * @returns {{ merged: MergedEntry[], conflicts: Conflict[] }}
+ */
+function mergeEntries(entries, priorities = []) {
+    const sorted = entries
+        .map((entry, index) => ({ entry, index, priority: getSourcePriority(entry.source, priorities) }))
+        .sort((a, b) => a.priority - b.priority || String(a.entry.source.label).localeCompare(String(b.entry.source.label)) || a.index - b.index)
+        .map(({ entry }) => entry);
+
+    /** @type {SourceEntry[][]} */
+    const groups = [];
+    /** @type {Map<string, SourceEntry[]>} */
+    const byUid = new Map();
+    /** @type {Map<string, SourceEntry[]>} */
+    const byNameAndDate = new Map();
+
+    for (const entry of sorted) {
+        const uidKey = entry.uid ? `${entry.type}:${entry.uid}` : null;
+        const nameKey = `${entry.type}:${normalizeName(entry.name)}:${entry.birthday.format('MM-DD')}`;
+
+        let group = (uidKey && byUid.get(uidKey)) || byNameAndDate.get(nameKey);
+        if (!group) {
+            group = [];
+            groups.push(group);
+        }
+
+        group.push(entry);
+
+        if (uidKey && !byUid.has(uidKey)) {
+            byUid.set(uidKey, group);
+        }
+        if (!byNameAndDate.has(nameKey)) {
+            byNameAndDate.set(nameKey, group);
+        }
+    }
+
+    /** @type {MergedEntry[]} */
+    const merged = [];
+    /** @type {Conflict[]} */
+    const conflicts = [];
+
+    for (const group of groups) {
+        const primary = group[0];
+        const sameDate = group.filter((entry) => entry.birthday.format('MM-DD') === primary.birthday.format('MM-DD'));
+        const withYear = sameDate.find((entry) => entry.yearKnown);
+
+        const birthday = withYear ? withYear.birthday.clone() : primary.birthday.clone();
+
+        /** @type {Source[]} */
+        const sources = [];
+        for (const entry of group) {
+            if (!sources.some((source) => source.type === entry.source.type && source.label === entry.source.label)) {
+                sources.push({ ...entry.source });
+            }
+        }
+
+        merged.push({
+            name: primary.name,
+            birthday,
+            yearKnown: !!withYear,
+            type: primary.type,
+            uid: group.find((entry) => entry.uid)?.uid,
+            occurrences: sameDate.find((entry) => entry.occurrences)?.occurrences,
+            groups: mergeGroups(...group.map((entry) => entry.groups)),
+            death: mergeDeaths(...group.map((entry) => entry.death)),
+            source: sources[0],
+            sources,
+        });
+
+        const years = new Set(sameDate.filter((entry) => entry.yearKnown).map((entry) => entry.birthday.year()));
+        if (sameDate.length < group.length || years.size > 1) {
+            conflicts.push({
+                type: primary.type,
+                name: primary.name,
+                resolved: true,
+                date: formatEntryDate({ birthday, yearKnown: !!withYear }),
+                sources: group.map((entry) => ({ ...entry.source, name: entry.name, date: formatEntryDate(entry) })),
+            });
+        }
+    }
+
+    // Same name with different dates (and without common UID) - might be the same person
+    const byName = new Map();
+    for (const entry of merged) {
+        const key = `${entry.type}:${normalizeName(entry.name)}`;
+        byName.set(key, [...(byName.get(key) ?? []), entry]);
+    }
+
+    for (const sameName of byName.values()) {
+        if (sameName.length > 1) {
+            conflicts.push({
+                type: sameName[0].type,
+                name: sameName[0].name,
+                resolved: false,
+                date: null,
+                sources: sameName.flatMap((entry) => entry.sources.map((source) => ({ ...source, name: entry.name, date: formatEntryDate(entry) }))),
+            });
+        }
+    }
+
+    return { merged, conflicts };
+}
+
+module.exports = {
+    normalizeName,
+    parseSourcePriority,
+    getSourcePriority,
+    mergeEntries,
+};
@@ -0,0 +1,126 @@
+'use strict';
+
+const { expect } = require('chai');
+const moment = require('moment');
+const { normalizeName, parseSourcePriority, getSourcePriority, mergeEntries } = require('./merge');
+
+const settings = { type: 'settings', label: 'settings' };
+const family = { type: 'ical', label: 'Family' };
+const contacts = { type: 'carddav', label: 'Contacts' };
+
+const entry = (name, date, source, options = {}) => ({
+    name,
+    birthday: moment(date.replace(/^--/, '1604-'), 'YYYY-MM-DD'),
+    yearKnown: !date.startsWith('--'),
+    type: 'birthday',
+    source,
+    ...options,
+});
+
+describe('merge', () => {
+    describe('normalizeName', () => {
+        it('should ignore order, case, punctuation and umlauts', () => {
+            expect(normalizeName('Anna Müller')).to.equal('anna mueller');
+            expect(normalizeName('Müller, Anna')).to.equal('anna mueller');
+            expect(normalizeName('  MUELLER   anna ')).to.equal('anna mueller');
+            expect(normalizeName('José García')).to.equal('garcia jose');
+        });
+    });
+
+    describe('getSourcePriority', () => {
+        it('should match source types and labels', () => {
+            const priorities = parseSourcePriority('Family, settings, carddav');
+
+            expect(getSourcePriority(family, priorities)).to.equal(0);
+            expect(getSourcePriority(settings, priorities)).to.equal(1);
+            expect(getSourcePriority(contacts, priorities)).to.equal(2);
+            expect(getSourcePriority({ type: 'ical', label: 'Work' }, priorities)).to.equal(3);
+        });
+    });
+
+    describe('mergeEntries', () => {
+        it('should merge entries with normalized name and same date', () => {
+            const { merged, conflicts } = mergeEntries([entry('Müller, Anna', '1990-03-12', family), entry('Anna Müller', '1990-03-12', contacts)], parseSourcePriority('carddav, ical'));
+
+            expect(merged).to.have.length(1);
+            expect(merged[0].name).to.equal('Anna Müller');
+            expect(merged[0].source).to.deep.equal(contacts);
+            expect(merged[0].sources).to.deep.equal([contacts, family]);
+            expect(conflicts).to.deep.equal([]);
+        });
+
+        it('should combine the groups of all sources', () => {
+            const { merged } = mergeEntries(
+                [entry('Anna Müller', '1990-03-12', settings, { groups: ['Family'] }), entry('Anna Müller', '1990-03-12', contacts, { groups: ['family', 'Friends'] })],
+                parseSourcePriority('settings'),
+            );
+
+            expect(merged[0].groups).to.deep.equal(['Family', 'Friends']);
+        });
+
+        it('should use the most complete date of death', () => {
+            const { merged } = mergeEntries(
+                [
+                    entry('Grandpa', '1930-05-05', settings, { death: { year: 2015, month: null, day: null } }),
+                    entry('Grandpa', '1930-05-05', contacts, { death: { year: 2015, month: 3, day: 12 } }),
+                    entry('Anna Müller', '1990-03-12', settings),
+                ],
+                parseSourcePriority('settings'),
+            );
+
+            expect(merged[0].death).to.deep.equal({ year: 2015, month: 3, day: 12 });
+            expect(merged[1].death).to.equal(null);
+        });
+
+        it('should complete missing birth years', () => {
+            const { merged, conflicts } = mergeEntries([entry('Anna Müller', '--03-12', settings), entry('Anna Müller', '1990-03-12', contacts)], parseSourcePriority('settings'));
+
+            expect(merged).to.have.length(1);
+            expect(merged[0].yearKnown).to.equal(true);
+            expect(merged[0].birthday.format('YYYY-MM-DD')).to.equal('1990-03-12');
+            expect(conflicts).to.deep.equal([]);
+        });
+
+        it('should merge by UID and report conflicting dates', () => {
+            const { merged, conflicts } = mergeEntries(
+                [entry('Anna', '1990-03-13', family, { uid: 'abc' }), entry('Anna Müller', '1990-03-12', contacts, { uid: 'abc' })],
+                parseSourcePriority('carddav'),
+            );
+
+            expect(merged).to.have.length(1);
+            expect(merged[0].name).to.equal('Anna Müller');
+            expect(merged[0].birthday.format('YYYY-MM-DD')).to.equal('1990-03-12');
+            expect(merged[0].uid).to.equal('abc');
+            expect(conflicts).to.deep.equal([
+                {
+                    type: 'birthday',
+                    name: 'Anna Müller',
+                    resolved: true,
+                    date: '1990-03-12',
+                    sources: [
+                        { ...contacts, name: 'Anna Müller', date: '1990-03-12' },
+                        { ...family, name: 'Anna', date: '1990-03-13' },
+                    ],
+                },
+            ]);
+        });
+
+        it('should report conflicting birth years', () => {
+            const { merged, conflicts } = mergeEntries([entry('Anna', '1990-03-12', family), entry('Anna', '1991-03-12', settings)], parseSourcePriority('settings'));
+
+            expect(merged).to.have.length(1);
+            expect(merged[0].birthday.year()).to.equal(1991);
+            expect(conflicts).to.have.length(1);
+            expect(conflicts[0].resolved).to.equal(true);
+        });
+
+        it('should keep different event types and different dates separately', () => {
+            const { merged, conflicts } = mergeEntries([entry('Anna', '1990-03-12', family), entry('Anna', '2015-06-01', family, { type: 'anniversary' }), entry('Anna', '1990-04-12', contacts)]);
+
+            expect(merged).to.have.length(3);
+            expect(conflicts).to.have.length(1);
+            expect(conflicts[0].resolved).to.equal(false);
+            expect(conflicts[0].sources.map((source) => source.date)).to.deep.equal(['1990-04-12', '1990-03-12']);
+        });
+    });
+});
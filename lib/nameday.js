@@ -0,0 +1,122 @@
+'use strict';
+
+const { normalizeName } = require('./merge');
+
+/**
+ * Name days of bundled national calendars (offline, lib/namedays/<calendar>.json)
+ *
+ * - first names of known people are matched against the names of all days (case insensitive, without accents)
+ * - aliases are groups of equivalent names (e.g. "Hans" also matches "Johannes")
+ * - names with multiple days in a calendar use the next day
+ *
+ * @typedef {Record<string, string[]>} NamedayCalendar names by date (MM-DD)
+ * @typedef {{ month: number, day: number, name: string }} Nameday
+ * @typedef {Map<string, Nameday[]>} NamedayIndex name days by normalized name
+ */
+
+const NAMEDAY_CALENDARS = ['de', 'pl', 'cs', 'sk', 'hu', 'sv', 'lv'];
+
+/**
+ * @param {string} calendar
+ * @returns {NamedayCalendar}
+ */
+function loadNamedayCalendar(calendar) {
+    if (!NAMEDAY_CALENDARS.includes(calendar)) {
+        throw new Error(`unknown name day calendar "${calendar}" (available: ${NAMEDAY_CALENDARS.join(', ')})`);
+    }
+
+    return require(`./namedays/${calendar}.json`);
+}
+
+/**
+ * @param {NamedayCalendar} calendar
+ * @returns {NamedayIndex}
+ */
+function createNamedayIndex(calendar) {
+    /** @type {NamedayIndex} */
+    const index = new Map();
+
+    for (const [date, names] of Object.entries(calendar)) {
+        const [month, day] = date.split('-').map((part) => parseInt(part));
+
+        for (const name of names) {
+            const key = normalizeName(name);
+            index.set(key, [...(index.get(key) ?? []), { month, day, name }]);
+        }
+    }
+
+    return index;
+}
+
+/**
+ * @param {any} aliases table rows of the instance configuration ({ name, aliases })
+ * @returns {string[][]} groups of normalized names
+ */
+function parseNamedayAliases(aliases) {
+    return (Array.isArray(aliases) ? aliases : [])
+        .map((row) => [row?.name, ...String(row?.aliases ?? '').split(',')].map((name) => normalizeName(name)).filter(Boolean))
+        .filter((group) => group.length > 1);
+}
+
+/**
+ * "Mustermann, Max", "Dr. Max Mustermann" and "Max-Peter Mustermann" (also matches "Max")
+ *
+ * @param {string} name
+ * @returns {string[]} candidates of the first name (most specific first)
+ */
+function getFirstNames(name) {
+    const str = String(name ?? '');
+    const commaIndex = str.indexOf(',');
+    const firstName = (commaIndex !== -1 ? str.slice(commaIndex + 1) : str)
+        .trim()
+        .split(/\s+/)
+        .find((part) => part && !part.endsWith('.'));
+
+    if (!firstName) {
+        return [];
+    }
+
+    const parts = firstName.split('-').filter(Boolean);
+
+    return parts.length > 1 ? [firstName, parts[0]] : [firstName];
+}
+
+/**
+ * @param {string} name full name of a person
+ * @param {NamedayIndex} index
+ * @param {string[][]} [aliases] groups of normalized names
+ * @returns {Nameday[]} all name days of the first name and its aliases
+ */
+function findNamedays(name, index, aliases = []) {
+    for (const firstName of getFirstNames(name)) {
+        const key = normalizeName(firstName);
+        const keys = [key, ...aliases.filter((group) => group.includes(key)).flat()];
+        const namedays = [...new Set(keys)].flatMap((k) => index.get(k) ?? []);
+
+        if (namedays.length > 0) {
+            return namedays;
+        }
+    }
+
+    return [];
+}
+
+/**
+ * @param {NamedayCalendar} calendar
+ * @param {number} month 1-12
+ * @param {number} day
+ * @returns {string[]}
+ */
+function getNamesOfDay(calendar, month, day) {
+    return calendar[`${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`] ?? [];
+}
+
+module.exports = {
+    NAMEDAY_CALENDARS,
+    loadNamedayCalendar,
+    createNamedayIndex,
+    parseNamedayAliases,
+    getFirstNames,
+    findNamedays,
+    getNamesOfDay,
+};
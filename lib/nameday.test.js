@@ -0,0 +1,60 @@
+'use strict';
+
+const { expect } = require('chai');
+const { NAMEDAY_CALENDARS, loadNamedayCalendar, createNamedayIndex, parseNamedayAliases, getFirstNames, findNamedays, getNamesOfDay } = require('./nameday');
+
+describe('nameday', () => {
+    const calendar = {
+        '06-24': ['Johannes'],
+        '07-26': ['Anna', 'Joachim'],
+        '12-27': ['Johannes'],
+        '09-12': ['Maria'],
+        '03-19': ['Józef'],
+    };
+    const index = createNamedayIndex(calendar);
+
+    describe('loadNamedayCalendar', () => {
+        it('should contain every day of the year', () => {
+            for (const id of NAMEDAY_CALENDARS) {
+                const data = loadNamedayCalendar(id);
+
+                expect(Object.keys(data), id).to.have.length(366);
+                expect(getNamesOfDay(data, 2, 29), id).to.be.an('array');
+            }
+        });
+
+        it('should throw on unknown calendars', () => {
+            expect(() => loadNamedayCalendar('xx')).to.throw('unknown name day calendar "xx"');
+        });
+    });
+
+    describe('getFirstNames', () => {
+        it('should find the first name', () => {
+            expect(getFirstNames('Anna Müller')).to.deep.equal(['Anna']);
+            expect(getFirstNames('Müller, Anna Maria')).to.deep.equal(['Anna']);
+            expect(getFirstNames('Dr. Hans-Peter Müller')).to.deep.equal(['Hans-Peter', 'Hans']);
+            expect(getFirstNames('  ')).to.deep.equal([]);
+        });
+    });
+
+    describe('findNamedays', () => {
+        it('should match first names without case and accents', () => {
+            expect(findNamedays('anna Müller', index)).to.deep.equal([{ month: 7, day: 26, name: 'Anna' }]);
+            expect(findNamedays('Jozef Nowak', index)).to.deep.equal([{ month: 3, day: 19, name: 'Józef' }]);
+            expect(findNamedays('Johannes', index)).to.have.length(2);
+            expect(findNamedays('Max', index)).to.deep.equal([]);
+        });
+
+        it('should match aliases in both directions', () => {
+            const aliases = parseNamedayAliases([
+                { name: 'Hans', aliases: 'Johannes, Johann' },
+                { name: 'Mia', aliases: '' },
+            ]);
+
+            expect(aliases).to.deep.equal([['hans', 'johannes', 'johann']]);
+            expect(findNamedays('Hans Müller', index, aliases).map((nameday) => nameday.name)).to.deep.equal(['Johannes', 'Johannes']);
+            expect(findNamedays('Hans-Joachim Müller', index, aliases)).to.have.length(2);
+            expect(findNamedays('Johann', index, aliases)).to.have.length(2);
+        });
+    });
+});
@@ -0,0 +1,25 @@
+'use strict';
+
+/**
+ * Object ids of names, labels, types and groups (e.g. "Jane Doe" -> janeDoe)
+ *
+ * @param {string} id
+ * @returns {string} camel case id without special chars (letters of all languages are kept)
+ */
+function cleanNamespace(id) {
+    return id
+        .trim()
+        .replace(/\s/g, '_') // Replace whitespaces with underscores
+        .replace(/[^\p{Ll}\p{Lu}\p{Nd}]+/gu, '_') // Replace not allowed chars with underscore
+        .replace(/[_]+$/g, '') // Remove underscores end
+        .replace(/^[_]+/g, '') // Remove underscores beginning
+        .replace(/_+/g, '_') // Replace multiple underscores with one
+        .toLowerCase()
+        .replace(/_([a-z])/g, (m, w) => {
+            return w.toUpperCase();
+        });
+}
+
+module.exports = {
+    cleanNamespace,
+};
@@ -0,0 +1,19 @@
+'use strict';
+
+const { expect } = require('chai');
+const { cleanNamespace } = require('./namespace');
+
+describe('namespace', () => {
+    describe('cleanNamespace', () => {
+        it('should create camel case ids', () => {
+            expect(cleanNamespace(' Jane  Doe ')).to.equal('janeDoe');
+            expect(cleanNamespace('ical Family & Friends')).to.equal('icalFamilyFriends');
+            expect(cleanNamespace('__Mr. X__')).to.equal('mrX');
+        });
+
+        it('should keep letters of all languages', () => {
+            expect(cleanNamespace('Jürgen Groß')).to.equal('jürgenGroß');
+            expect(cleanNamespace('Иван')).to.equal('иван');
+        });
+    });
+});
@@ -0,0 +1,55 @@
+'use strict';
+
+const { cleanNamespace } = require('./namespace');
+const { normalizeName } = require('./merge');
+
+/**
+ * Stable objects per person (persons.<id> instead of month.MM.<id>)
+ *
+ * - the UID of the source or the id of the settings table does not change with the name or date
+ * - entries without id fall back to the name (changes when the name is corrected)
+ * - custom settings (e.g. history) of month.MM.<id> are copied once to persons.<id>
+ */
+
+/**
+ * @param {{ uid?: string | null, name: string, birthday: import('moment').Moment }} entry
+ * @param {Set<string>} usedIds ids of previous entries (the new id is added)
+ * @returns {string}
+ */
+function getPersonId(entry, usedIds) {
+    const id = cleanNamespace(entry.uid || normalizeName(entry.name));
+
+    // Same name with different dates (without UID)
+    const personId = usedIds.has(id) ? `${id}_${entry.birthday.format('MMDD')}` : id;
+    usedIds.add(personId);
+
+    return personId;
+}
+
+/**
+ * @param {number} month 1-12
+ * @returns {string}
+ */
+function getMonthPath(month) {
+    return 'month.' + String(month).padStart(2, '0');
+}
+
+/**
+ * @param {{ id: string, personId?: string, _birthday: import('moment').Moment }} birthdayObj
+ * @returns {{ path: string, previousPath: string | null }} path of the birthday objects and the path of the month channel which is replaced by persons.<id>
+ */
+function getBirthdayPaths(birthdayObj) {
+    const monthPath = `${getMonthPath(birthdayObj._birthday.month() + 1)}.${cleanNamespace(birthdayObj.id)}`;
+
+    if (birthdayObj.personId) {
+        return { path: `persons.${birthdayObj.personId}`, previousPath: monthPath };
+    }
+
+    return { path: monthPath, previousPath: null };
+}
+
+module.exports = {
+    getPersonId,
+    getMonthPath,
+    getBirthdayPaths,
+};
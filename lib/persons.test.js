@@ -0,0 +1,43 @@
+'use strict';
+
+const { expect } = require('chai');
+const moment = require('moment');
+const { getPersonId, getMonthPath, getBirthdayPaths } = require('./persons');
+
+describe('persons', () => {
+    describe('getPersonId', () => {
+        it('should prefer the UID', () => {
+            const usedIds = new Set();
+
+            expect(getPersonId({ uid: 'A1B2-C3', name: 'Jane Doe', birthday: moment({ year: 1980, month: 5, date: 15 }) }, usedIds)).to.equal('a1b2C3');
+            expect(getPersonId({ uid: null, name: 'Jane Doe', birthday: moment({ year: 1980, month: 5, date: 15 }) }, usedIds)).to.equal('doeJane');
+            expect([...usedIds]).to.deep.equal(['a1b2C3', 'doeJane']);
+        });
+
+        it('should add the date to duplicate names', () => {
+            const usedIds = new Set();
+
+            expect(getPersonId({ name: 'Max Mustermann', birthday: moment({ year: 1980, month: 0, date: 5 }) }, usedIds)).to.equal('maxMustermann');
+            expect(getPersonId({ name: 'max  mustermann', birthday: moment({ year: 1990, month: 11, date: 24 }) }, usedIds)).to.equal('maxMustermann_1224');
+        });
+    });
+
+    describe('getMonthPath', () => {
+        it('should pad the month', () => {
+            expect(getMonthPath(2)).to.equal('month.02');
+            expect(getMonthPath(12)).to.equal('month.12');
+        });
+    });
+
+    describe('getBirthdayPaths', () => {
+        const birthdayObj = { id: 'Jane Doe_198056', _birthday: moment({ year: 1980, month: 5, date: 15 }) };
+
+        it('should use month channels without person id', () => {
+            expect(getBirthdayPaths(birthdayObj)).to.deep.equal({ path: 'month.06.janeDoe_198056', previousPath: null });
+        });
+
+        it('should replace month channels by persons', () => {
+            expect(getBirthdayPaths({ ...birthdayObj, personId: 'janeDoe' })).to.deep.equal({ path: 'persons.janeDoe', previousPath: 'month.06.janeDoe_198056' });
+        });
+    });
+});
@@ -0,0 +1,36 @@
+'use strict';
+
+/**
+ * Preview of all states for another reference date (admin button and sendTo command "preview")
+ *
+ * - JSON states are only part of the message response (too long for the admin text field)
+ */
+
+/**
+ * @param {string} id state id (without namespace)
+ * @returns {boolean}
+ */
+function isPreviewTextState(id) {
+    return !/\.(json\w*|conflicts)$/.test(id);
+}
+
+/**
+ * @param {string} date reference date (YYYY-MM-DD)
+ * @param {number} count number of birthdays
+ * @param {Record<string, ioBroker.StateValue>} states values by state id
+ * @returns {string} one line per state (sorted by id)
+ */
+function formatPreviewText(date, count, states) {
+    return [
+        `Preview for ${date}: ${count} birthdays`,
+        ...Object.keys(states)
+            .filter(isPreviewTextState)
+            .sort()
+            .map((id) => `${id}: ${states[id]}`),
+    ].join('\n');
+}
+
+module.exports = {
+    isPreviewTextState,
+    formatPreviewText,
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+const { expect } = require('chai');
+const { isPreviewTextState, formatPreviewText } = require('./preview');
+
+describe('preview', () => {
+    describe('isPreviewTextState', () => {
+        it('should leave out JSON and conflicts', () => {
+            expect(isPreviewTextState('next.text')).to.equal(true);
+            expect(isPreviewTextState('summary.json')).to.equal(false);
+            expect(isPreviewTextState('summary.jsonSignificant')).to.equal(false);
+            expect(isPreviewTextState('info.conflicts')).to.equal(false);
+            expect(isPreviewTextState('month.01.json.count')).to.equal(true);
+        });
+    });
+
+    describe('formatPreviewText', () => {
+        it('should list sorted states', () => {
+            const states = { 'next.text': 'Jane turns 46', 'next.daysLeft': 3, 'summary.json': '[]', 'today.active': false };
+
+            expect(formatPreviewText('2026-10-19', 1, states)).to.equal(['Preview for 2026-10-19: 1 birthdays', 'next.daysLeft: 3', 'next.text: Jane turns 46', 'today.active: false'].join('\n'));
+        });
+    });
+});
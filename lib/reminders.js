@@ -0,0 +1,110 @@
+'use strict';
+
+const { parseGroups, matchesGroups } = require('./groups');
+
+/**
+ * Reminders (notifications some days before a birthday)
+ *
+ * - every reminder is only sent once per birthday, lead time, instance and recipient (state reminders.sent)
+ * - sent reminders are forgotten after one year
+ *
+ * @typedef {{ daysBefore: number, instance: string, recipient: string, template: string, scope: 'all' | 'significant', groups: string[] }} Reminder
+ */
+
+/**
+ * @param {any} configReminders rows of the reminders table
+ * @returns {Reminder[]} active reminders with instance
+ */
+function parseReminders(configReminders) {
+    /** @type {Array<{ active?: boolean, daysBefore?: number, instance?: string, recipient?: string, template?: string, scope?: string, group?: string }>} */
+    const rows = Array.isArray(configReminders) ? configReminders : [];
+
+    return rows
+        .filter((reminder) => reminder.active !== false && reminder.instance && Number(reminder.daysBefore ?? 0) >= 0)
+        .map((reminder) => ({
+            daysBefore: Number(reminder.daysBefore ?? 0),
+            instance: String(reminder.instance).replace(/^system\.adapter\./, ''),
+            recipient: reminder.recipient ? String(reminder.recipient).trim() : '',
+            template: reminder.template ? String(reminder.template) : '',
+            scope: reminder.scope === 'significant' ? 'significant' : 'all',
+            groups: parseGroups(reminder.group),
+        }));
+}
+
+/**
+ * @param {any} value configured hour
+ * @returns {number} hour of the day (0-23, default 8)
+ */
+function parseRemindersHour(value) {
+    const hour = Number(value);
+    return hour >= 0 && hour <= 23 ? Math.floor(hour) : 8;
+}
+
+/**
+ * @template {{ daysLeft: number, groups?: string[] }} T
+ * @param {T[]} birthdays
+ * @param {Reminder} reminder
+ * @returns {T[]} birthdays which are due for the reminder
+ */
+function getDueBirthdays(birthdays, reminder) {
+    return birthdays.filter((birthday) => birthday.daysLeft === reminder.daysBefore && matchesGroups(birthday.groups, reminder.groups));
+}
+
+/**
+ * @param {{ name: string, _nextBirthday: import('moment').Moment }} birthday
+ * @param {Reminder} reminder
+ * @returns {string} key of the state reminders.sent
+ */
+function getReminderKey(birthday, reminder) {
+    return `${birthday.name}@${birthday._nextBirthday.format('YYYY-MM-DD')}:${reminder.daysBefore}:${reminder.instance}:${reminder.recipient}`;
+}
+
+/**
+ * @param {any} val value of the state reminders.sent
+ * @param {number} minSentTs reminders sent before are forgotten
+ * @returns {Record<string, number>} timestamps by reminder key
+ */
+function parseSentReminders(val, minSentTs) {
+    /** @type {Record<string, number>} */
+    const sent = val ? JSON.parse(String(val)) : {};
+
+    for (const key of Object.keys(sent)) {
+        if (sent[key] < minSentTs) {
+            delete sent[key];
+        }
+    }
+
+    return sent;
+}
+
+/**
+ * @param {string} instance e.g. telegram.0
+ * @param {string} text
+ * @param {string} title
+ * @param {string} recipient user, chat id, device, e-mail address or phone number
+ * @returns {Record<string, any>} message of the send command (depends on the adapter)
+ */
+function getNotificationMessage(instance, text, title, recipient) {
+    switch (instance.split('.')[0]) {
+        case 'telegram':
+            return { text, ...(recipient ? (/^-?\d+$/.test(recipient) ? { chatId: recipient } : { user: recipient }) : {}) };
+        case 'pushover':
+            return { message: text, title, ...(recipient ? { device: recipient } : {}) };
+        case 'email':
+            return { text, subject: title, ...(recipient ? { to: recipient } : {}) };
+        case 'signal-cmb':
+        case 'whatsapp-cmb':
+            return { text, ...(recipient ? { phone: recipient } : {}) };
+        default:
+            return { text, message: text, title, ...(recipient ? { recipient } : {}) };
+    }
+}
+
+module.exports = {
+    parseReminders,
+    parseRemindersHour,
+    getDueBirthdays,
+    getReminderKey,
+    parseSentReminders,
+    getNotificationMessage,
+};
@@ -0,0 +1,78 @@
+'use strict';
+
+const { expect } = require('chai');
+const moment = require('moment');
+const { parseReminders, parseRemindersHour, getDueBirthdays, getReminderKey, parseSentReminders, getNotificationMessage } = require('./reminders');
+
+describe('reminders', () => {
+    describe('parseReminders', () => {
+        it('should only return active reminders with instance', () => {
+            const reminders = parseReminders([
+                { daysBefore: 3, instance: 'system.adapter.telegram.0', recipient: ' Jane ', scope: 'significant', group: 'Family, Office' },
+                { active: false, daysBefore: 1, instance: 'telegram.0' },
+                { daysBefore: 1, instance: '' },
+                { daysBefore: -1, instance: 'email.0' },
+                { instance: 'email.0' },
+            ]);
+
+            expect(reminders).to.deep.equal([
+                { daysBefore: 3, instance: 'telegram.0', recipient: 'Jane', template: '', scope: 'significant', groups: ['Family', 'Office'] },
+                { daysBefore: 0, instance: 'email.0', recipient: '', template: '', scope: 'all', groups: [] },
+            ]);
+            expect(parseReminders(undefined)).to.deep.equal([]);
+        });
+    });
+
+    describe('parseRemindersHour', () => {
+        it('should default to 8', () => {
+            expect(parseRemindersHour(6)).to.equal(6);
+            expect(parseRemindersHour('0')).to.equal(0);
+            expect(parseRemindersHour(24)).to.equal(8);
+            expect(parseRemindersHour(undefined)).to.equal(8);
+        });
+    });
+
+    describe('getDueBirthdays', () => {
+        it('should match lead time and groups', () => {
+            const birthdays = [
+                { name: 'Jane', daysLeft: 3, groups: ['Family'] },
+                { name: 'John', daysLeft: 3, groups: ['Office'] },
+                { name: 'Max', daysLeft: 2, groups: ['Family'] },
+            ];
+            const [reminder] = parseReminders([{ daysBefore: 3, instance: 'telegram.0', group: 'family' }]);
+
+            expect(getDueBirthdays(birthdays, reminder).map((birthday) => birthday.name)).to.deep.equal(['Jane']);
+            expect(getDueBirthdays(birthdays, { ...reminder, groups: [] }).map((birthday) => birthday.name)).to.deep.equal(['Jane', 'John']);
+        });
+    });
+
+    describe('getReminderKey', () => {
+        it('should contain birthday, lead time, instance and recipient', () => {
+            const birthday = { name: 'Jane', _nextBirthday: moment({ year: 2026, month: 9, date: 22 }) };
+            const [reminder] = parseReminders([{ daysBefore: 3, instance: 'telegram.0', recipient: '123' }]);
+
+            expect(getReminderKey(birthday, reminder)).to.equal('Jane@2026-10-22:3:telegram.0:123');
+        });
+    });
+
+    describe('parseSentReminders', () => {
+        it('should forget old reminders', () => {
+            const val = JSON.stringify({ old: 1000, new: 3000 });
+
+            expect(parseSentReminders(val, 2000)).to.deep.equal({ new: 3000 });
+            expect(parseSentReminders(null, 2000)).to.deep.equal({});
+            expect(() => parseSentReminders('{', 2000)).to.throw();
+        });
+    });
+
+    describe('getNotificationMessage', () => {
+        it('should create messages for known adapters', () => {
+            expect(getNotificationMessage('telegram.0', 'Hi', 'Birthday', '-123')).to.deep.equal({ text: 'Hi', chatId: '-123' });
+            expect(getNotificationMessage('telegram.0', 'Hi', 'Birthday', 'jane')).to.deep.equal({ text: 'Hi', user: 'jane' });
+            expect(getNotificationMessage('pushover.0', 'Hi', 'Birthday', '')).to.deep.equal({ message: 'Hi', title: 'Birthday' });
+            expect(getNotificationMessage('email.0', 'Hi', 'Birthday', 'jane@example.com')).to.deep.equal({ text: 'Hi', subject: 'Birthday', to: 'jane@example.com' });
+            expect(getNotificationMessage('signal-cmb.0', 'Hi', 'Birthday', '+49123')).to.deep.equal({ text: 'Hi', phone: '+49123' });
+            expect(getNotificationMessage('other.0', 'Hi', 'Birthday', 'x')).to.deep.equal({ text: 'Hi', message: 'Hi', title: 'Birthday', recipient: 'x' });
+        });
+    });
+});
@@ -0,0 +1,198 @@
+'use strict';
+
+const { parseDeathDate, formatDeathDate } = require('./memorial');
+
+/**
+ * Export and import of the settings table (admin buttons)
+ *
+ * @typedef {{ name: string, id?: string, type?: string, group?: string, deathDate?: string, day: number, month: number, year?: number | null }} SettingsRow
+ * @typedef {'add' | 'update' | 'replace'} ImportMode
+ */
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+/**
+ * @param {SettingsRow} row
+ * @param {string} [separator]
+ * @returns {string} YYYY-MM-DD or --MM-DD (unknown year)
+ */
+function formatRowDate(row, separator = '-') {
+    return `${row.year ? `${String(row.year).padStart(4, '0')}${separator}` : '--'}${pad(row.month)}${separator}${pad(row.day)}`;
+}
+
+/**
+ * @param {string} [value] date of death of the settings table
+ * @returns {string | null} YYYYMMDD, --MMDD or YYYY (null if empty or invalid)
+ */
+function formatVCardDeathDate(value) {
+    try {
+        const death = parseDeathDate(value);
+        return death ? formatDeathDate(death).replace(/(\d)-/g, '$1') : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeCsv(value) {
+    const str = String(value ?? '');
+    return /[",;\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeVCard(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/\r?\n/g, '\\n')
+        .replace(/([,;])/g, '\\$1');
+}
+
+/**
+ * @param {SettingsRow[]} rows
+ * @param {'csv' | 'json' | 'vcf'} format
+ * @returns {{ data: string, skipped: SettingsRow[] }} vCards support birthdays and anniversaries only
+ */
+function exportRows(rows, format) {
+    /** @type {SettingsRow[]} */
+    const skipped = [];
+
+    if (format === 'csv') {
+        // Column of the date of death only if required
+        const withDeathDate = rows.some((row) => row.deathDate);
+        const lines = rows.map((row) => [row.name, row.type || 'birthday', formatRowDate(row), row.group ?? '', ...(withDeathDate ? [row.deathDate ?? ''] : [])].map(escapeCsv).join(','));
+        return { data: [`Name,Type,Birthday,Group${withDeathDate ? ',Deathdate' : ''}`, ...lines].join('\r\n') + '\r\n', skipped };
+    } else if (format === 'json') {
+        return {
+            data: JSON.stringify(
+                rows.map((row) => ({
+                    name: row.name,
+                    ...(row.id ? { id: row.id } : {}),
+                    type: row.type || 'birthday',
+                    date: formatRowDate(row),
+                    ...(row.group ? { group: row.group } : {}),
+                    ...(row.deathDate ? { deathDate: row.deathDate } : {}),
+                })),
+                null,
+                4,
+            ),
+            skipped,
+        };
+    } else if (format === 'vcf') {
+        const cards = [];
+
+        for (const row of rows) {
+            const type = row.type || 'birthday';
+
+            if (type === 'birthday' || type === 'anniversary') {
+                const property = type === 'birthday' ? 'BDAY' : 'ANNIVERSARY';
+                const categories = row.group
+                    ? [
+                          `CATEGORIES:${String(row.group)
+                              .split(',')
+                              .map((group) => escapeVCard(group.trim()))
+                              .join(',')}`,
+                      ]
+                    : [];
+                const deathDate = type === 'birthday' ? formatVCardDeathDate(row.deathDate) : null;
+
+                cards.push(
+                    [
+                        'BEGIN:VCARD',
+                        'VERSION:4.0',
+                        `FN:${escapeVCard(row.name)}`,
+                        ...(row.id ? [`UID:${escapeVCard(row.id)}`] : []),
+                        `${property}:${formatRowDate(row, '')}`,
+                        ...(deathDate ? [`DEATHDATE:${deathDate}`] : []),
+                        ...categories,
+                        'END:VCARD',
+                    ].join('\r\n'),
+                );
+            } else {
+                skipped.push(row);
+            }
+        }
+
+        return { data: cards.length > 0 ? cards.join('\r\n') + '\r\n' : '', skipped };
+    }
+
+    throw new Error(`unknown export format "${format}"`);
+}
+
+/**
+ * @param {string} data
+ * @returns {'csv' | 'json' | 'vcf'}
+ */
+function detectFormat(data) {
+    const str = String(data ?? '')
+        .replace(/^\uFEFF/, '')
+        .trim();
+
+    if (str.startsWith('[')) {
+        return 'json';
+    } else if (/^BEGIN:VCARD/i.test(str)) {
+        return 'vcf';
+    }
+
+    return 'csv';
+}
+
+/**
+ * Rows are identical if name (case insensitive) and type are the same
+ *
+ * @param {SettingsRow} row
+ * @returns {string}
+ */
+function getRowKey(row) {
+    return `${row.type || 'birthday'}:${String(row.name).trim().toLowerCase()}`;
+}
+
+/**
+ * @param {SettingsRow[]} existing
+ * @param {SettingsRow[]} imported valid rows only
+ * @param {ImportMode} mode add: existing rows are kept - update: existing rows are updated - replace: the table is replaced
+ * @returns {{ rows: SettingsRow[], added: SettingsRow[], updated: SettingsRow[], unchanged: SettingsRow[] }}
+ */
+function mergeRows(existing, imported, mode) {
+    /** @type {SettingsRow[]} */
+    const rows = mode === 'replace' ? [] : existing.map((row) => ({ ...row }));
+    const added = [];
+    const updated = [];
+    const unchanged = [];
+
+    for (const row of imported) {
+        const index = rows.findIndex((r) => getRowKey(r) === getRowKey(row));
+
+        if (index === -1) {
+            rows.push(row);
+            added.push(row);
+        } else if (
+            mode === 'add' ||
+            (formatRowDate(rows[index]) === formatRowDate(row) && (!row.group || row.group === rows[index].group) && (!row.deathDate || row.deathDate === rows[index].deathDate))
+        ) {
+            unchanged.push(row);
+        } else {
+            rows[index] = { ...rows[index], day: row.day, month: row.month, year: row.year, ...(row.group ? { group: row.group } : {}), ...(row.deathDate ? { deathDate: row.deathDate } : {}) };
+            updated.push(row);
+        }
+    }
+
+    return { rows, added, updated, unchanged };
+}
+
+module.exports = {
+    exportRows,
+    detectFormat,
+    mergeRows,
+};
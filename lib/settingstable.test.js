@@ -0,0 +1,88 @@
+'use strict';
+
+const { expect } = require('chai');
+const { exportRows, detectFormat, mergeRows } = require('./settingstable');
+
+describe('settingstable', () => {
+    const rows = [
+        { name: 'Mustermann, Max', day: 12, month: 3, year: 1984 },
+        { name: 'Erika', type: 'anniversary', group: 'Family, Friends', day: 1, month: 8, year: null },
+        { name: 'Anna', type: 'nameday', day: 2, month: 2 },
+    ];
+
+    describe('exportRows', () => {
+        it('should export CSV', () => {
+            expect(exportRows(rows, 'csv').data).to.equal(
+                'Name,Type,Birthday,Group\r\n"Mustermann, Max",birthday,1984-03-12,\r\nErika,anniversary,--08-01,"Family, Friends"\r\nAnna,nameday,--02-02,\r\n',
+            );
+        });
+
+        it('should export JSON', () => {
+            expect(JSON.parse(exportRows(rows, 'json').data)).to.deep.equal([
+                { name: 'Mustermann, Max', type: 'birthday', date: '1984-03-12' },
+                { name: 'Erika', type: 'anniversary', date: '--08-01', group: 'Family, Friends' },
+                { name: 'Anna', type: 'nameday', date: '--02-02' },
+            ]);
+        });
+
+        it('should export birthdays and anniversaries as vCards', () => {
+            const { data, skipped } = exportRows(rows, 'vcf');
+
+            expect(data).to.equal(
+                'BEGIN:VCARD\r\nVERSION:4.0\r\nFN:Mustermann\\, Max\r\nBDAY:19840312\r\nEND:VCARD\r\nBEGIN:VCARD\r\nVERSION:4.0\r\nFN:Erika\r\nANNIVERSARY:--0801\r\nCATEGORIES:Family,Friends\r\nEND:VCARD\r\n',
+            );
+            expect(skipped).to.deep.equal([rows[2]]);
+        });
+
+        it('should export the date of death', () => {
+            const deceased = [{ name: 'Grandpa', deathDate: '2015-03-12', day: 5, month: 5, year: 1930 }, ...rows.slice(0, 1)];
+
+            expect(exportRows(deceased, 'csv').data).to.equal('Name,Type,Birthday,Group,Deathdate\r\nGrandpa,birthday,1930-05-05,,2015-03-12\r\n"Mustermann, Max",birthday,1984-03-12,,\r\n');
+            expect(JSON.parse(exportRows(deceased, 'json').data)[0]).to.deep.equal({ name: 'Grandpa', type: 'birthday', date: '1930-05-05', deathDate: '2015-03-12' });
+            expect(exportRows(deceased, 'vcf').data).to.contain('BDAY:19300505\r\nDEATHDATE:20150312\r\n');
+        });
+
+        it('should export the id (JSON and vCard)', () => {
+            const withId = [{ name: 'Mom', id: 'mom', day: 5, month: 5, year: 1960 }];
+
+            expect(JSON.parse(exportRows(withId, 'json').data)[0]).to.deep.equal({ name: 'Mom', id: 'mom', type: 'birthday', date: '1960-05-05' });
+            expect(exportRows(withId, 'vcf').data).to.contain('FN:Mom\r\nUID:mom\r\nBDAY:19600505\r\n');
+        });
+    });
+
+    describe('detectFormat', () => {
+        it('should detect the format by content', () => {
+            expect(detectFormat(' [{ "name": "Max" }]')).to.equal('json');
+            expect(detectFormat('BEGIN:VCARD\r\nVERSION:4.0')).to.equal('vcf');
+            expect(detectFormat('Name,Birthday')).to.equal('csv');
+        });
+    });
+
+    describe('mergeRows', () => {
+        const imported = [
+            { name: 'mustermann, max', type: 'birthday', day: 13, month: 3, year: 1984 },
+            { name: 'Erika', type: 'anniversary', group: 'Family, Friends', day: 1, month: 8, year: null },
+            { name: 'John', type: 'birthday', day: 5, month: 5, year: null },
+        ];
+
+        it('should keep existing entries', () => {
+            const result = mergeRows(rows, imported, 'add');
+
+            expect(result.rows).to.deep.equal([...rows, imported[2]]);
+            expect(result.added).to.deep.equal([imported[2]]);
+            expect(result.unchanged).to.have.length(2);
+        });
+
+        it('should update existing entries', () => {
+            const result = mergeRows(rows, imported, 'update');
+
+            expect(result.rows[0]).to.deep.equal({ name: 'Mustermann, Max', day: 13, month: 3, year: 1984 });
+            expect(result.updated).to.deep.equal([imported[0]]);
+            expect(result.unchanged).to.deep.equal([imported[1]]);
+        });
+
+        it('should replace the table', () => {
+            expect(mergeRows(rows, imported, 'replace').rows).to.deep.equal(imported);
+        });
+    });
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+const { getOccurrence } = require('./dates');
+
+/**
+ * Significant birthdays are defined by a list of ages and/or an interval (e.g. every 10 years from 10)
+ *
+ * - the lower of both rules wins
+ * - instances without these settings keep "every 10 years" (an explicit empty configuration disables significant birthdays)
+ *
+ * @typedef {{ significantAges?: any, significantInterval?: any, significantIntervalStart?: any }} SignificantConfig
+ * @typedef {{ age: number, rule: 'ages' | 'interval' }} SignificantAge
+ */
+
+/**
+ * @param {number} age
+ * @param {SignificantConfig} config
+ * @returns {SignificantAge | null} next significant age (equal or greater than age)
+ */
+function getNextSignificantAge(age, config) {
+    const significantAges = String(config.significantAges ?? '')
+        .split(/[,;\s]+/)
+        .map((significantAge) => parseInt(significantAge))
+        .filter((significantAge) => !isNaN(significantAge) && significantAge >= age)
+        .sort((a, b) => a - b);
+
+    const unconfigured = config.significantAges === undefined && config.significantInterval === undefined;
+    const interval = unconfigured ? 10 : Number(config.significantInterval);
+    const intervalStart = config.significantIntervalStart === undefined ? 10 : Number(config.significantIntervalStart) || 0;
+
+    let nextIntervalAge = null;
+    if (interval > 0) {
+        nextIntervalAge = age <= intervalStart ? intervalStart : intervalStart + Math.ceil((age - intervalStart) / interval) * interval;
+    }
+
+    if (significantAges.length > 0 && (nextIntervalAge === null || significantAges[0] <= nextIntervalAge)) {
+        return { age: significantAges[0], rule: 'ages' };
+    } else if (nextIntervalAge !== null) {
+        return { age: nextIntervalAge, rule: 'interval' };
+    }
+
+    return null;
+}
+
+/**
+ * Birthdays on February 29 might not be celebrated in the significant year (leap day policy) - the following significant age is used
+ *
+ * @param {import('moment').Moment} birthday
+ * @param {number} nextAge age at the next birthday
+ * @param {SignificantConfig} config
+ * @param {string} [policy] leap day policy
+ * @returns {(SignificantAge & { date: import('moment').Moment }) | null}
+ */
+function getNextSignificantBirthday(birthday, nextAge, config, policy) {
+    let nextSignificant = getNextSignificantAge(nextAge, config);
+
+    for (let i = 0; nextSignificant && i < 10; i++) {
+        const date = getOccurrence(birthday, birthday.year() + nextSignificant.age, policy);
+        if (date) {
+            return { ...nextSignificant, date };
+        }
+
+        nextSignificant = getNextSignificantAge(nextSignificant.age + 1, config);
+    }
+
+    return null;
+}
+
+module.exports = {
+    getNextSignificantAge,
+    getNextSignificantBirthday,
+};
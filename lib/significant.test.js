@@ -0,0 +1,54 @@
+'use strict';
+
+const { expect } = require('chai');
+const moment = require('moment');
+const { getNextSignificantAge, getNextSignificantBirthday } = require('./significant');
+
+describe('significant', () => {
+    describe('getNextSignificantAge', () => {
+        it('should use every 10 years for unconfigured instances', () => {
+            expect(getNextSignificantAge(1, {})).to.deep.equal({ age: 10, rule: 'interval' });
+            expect(getNextSignificantAge(40, {})).to.deep.equal({ age: 40, rule: 'interval' });
+            expect(getNextSignificantAge(41, {})).to.deep.equal({ age: 50, rule: 'interval' });
+        });
+
+        it('should use the configured interval and start', () => {
+            const config = { significantAges: '', significantInterval: 5, significantIntervalStart: 50 };
+
+            expect(getNextSignificantAge(18, config)).to.deep.equal({ age: 50, rule: 'interval' });
+            expect(getNextSignificantAge(51, config)).to.deep.equal({ age: 55, rule: 'interval' });
+        });
+
+        it('should prefer the lower age of both rules', () => {
+            const config = { significantAges: '18; 21, 25 100', significantInterval: 10, significantIntervalStart: 10 };
+
+            expect(getNextSignificantAge(17, config)).to.deep.equal({ age: 18, rule: 'ages' });
+            expect(getNextSignificantAge(19, config)).to.deep.equal({ age: 20, rule: 'interval' });
+            expect(getNextSignificantAge(21, config)).to.deep.equal({ age: 21, rule: 'ages' });
+        });
+
+        it('should support only one rule or none', () => {
+            expect(getNextSignificantAge(19, { significantAges: '18, 21', significantInterval: '' })).to.deep.equal({ age: 21, rule: 'ages' });
+            expect(getNextSignificantAge(22, { significantAges: '18, 21', significantInterval: 0 })).to.equal(null);
+            expect(getNextSignificantAge(22, { significantAges: '', significantInterval: '' })).to.equal(null);
+        });
+    });
+
+    describe('getNextSignificantBirthday', () => {
+        it('should return the date of the next significant birthday', () => {
+            const next = getNextSignificantBirthday(moment({ year: 1990, month: 6, date: 15 }), 33, {}, 'feb28');
+
+            expect(next && next.date.format('YYYY-MM-DD')).to.equal('2030-07-15');
+            expect(next).to.include({ age: 40, rule: 'interval' });
+        });
+
+        it('should skip years without February 29 (leapOnly)', () => {
+            const leapDayBirthday = moment({ year: 2000, month: 1, date: 29 });
+            const config = { significantAges: '18, 20, 24', significantInterval: '' };
+
+            expect(getNextSignificantBirthday(leapDayBirthday, 17, config, 'leapOnly')?.date.format('YYYY-MM-DD')).to.equal('2020-02-29');
+            expect(getNextSignificantBirthday(leapDayBirthday, 17, config, 'feb28')?.date.format('YYYY-MM-DD')).to.equal('2018-02-28');
+            expect(getNextSignificantBirthday(leapDayBirthday, 25, config, 'leapOnly')).to.equal(null);
+        });
+    });
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+const { cleanNamespace } = require('./namespace');
+const { parseGroups } = require('./groups');
+
+/**
+ * Sync status of sources (written to info.sources.<id> after collecting)
+ *
+ * - ok: entries of the source are up to date
+ * - stale: the source was not available - cached data is used
+ * - error: the source was not available (without cached data)
+ *
+ * @typedef {{ type: string, label: string, status: 'ok' | 'stale' | 'error', stale: boolean, error: string | null, count: number, skipped: Array<{ name: string, reason: string }>, start: number, duration: number, groups: string[] }} SourceStatus
+ */
+
+/**
+ * Sources with the same (or equivalent) label get a suffix in configured order (e.g. icalFamily_2)
+ *
+ * @param {string} type
+ * @param {string} label
+ * @param {string[]} usedIds ids of previous sources
+ * @returns {string}
+ */
+function getSourceId(type, label, usedIds) {
+    const baseId = cleanNamespace(type === label ? type : `${type} ${label}`);
+
+    let id = baseId;
+    for (let i = 2; usedIds.includes(id); i++) {
+        id = `${baseId}_${i}`;
+    }
+
+    return id;
+}
+
+/**
+ * @param {string} type
+ * @param {string} label
+ * @param {string} [groups] groups of all entries of the source (comma separated)
+ * @param {number} [start]
+ * @returns {SourceStatus}
+ */
+function createSourceStatus(type, label, groups, start = Date.now()) {
+    return {
+        type,
+        label,
+        status: 'ok',
+        stale: false,
+        error: null,
+        count: 0,
+        skipped: [],
+        start,
+        duration: 0,
+        groups: parseGroups(groups),
+    };
+}
+
+/**
+ * @param {SourceStatus} status
+ * @param {number} [end]
+ */
+function finishSourceStatus(status, end = Date.now()) {
+    status.status = status.error ? (status.stale ? 'stale' : 'error') : 'ok';
+    status.duration = end - status.start;
+}
+
+/**
+ * @param {SourceStatus} status
+ * @returns {Record<string, ioBroker.StateValue>} values of the states in info.sources.<id> (lastSuccess and lastError are kept if not set)
+ */
+function getSourceStateValues(status) {
+    return {
+        status: status.status,
+        ...(status.status === 'ok' ? { lastSuccess: status.start } : {}),
+        ...(status.error ? { lastError: status.error } : {}),
+        count: status.count,
+        skipped: status.skipped.length,
+        skippedReasons: JSON.stringify(status.skipped),
+        duration: status.duration,
+    };
+}
+
+module.exports = {
+    getSourceId,
+    createSourceStatus,
+    finishSourceStatus,
+    getSourceStateValues,
+};
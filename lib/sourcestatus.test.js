@@ -0,0 +1,73 @@
+'use strict';
+
+const { expect } = require('chai');
+const { getSourceId, createSourceStatus, finishSourceStatus, getSourceStateValues } = require('./sourcestatus');
+
+describe('sourcestatus', () => {
+    describe('getSourceId', () => {
+        it('should combine type and label', () => {
+            expect(getSourceId('ical', 'Family & Friends', [])).to.equal('icalFamilyFriends');
+            expect(getSourceId('settings', 'settings', [])).to.equal('settings');
+        });
+
+        it('should add a suffix to equivalent labels', () => {
+            expect(getSourceId('ical', 'Family', ['icalFamily'])).to.equal('icalFamily_2');
+            expect(getSourceId('ical', 'family', ['icalFamily', 'icalFamily_2'])).to.equal('icalFamily_3');
+        });
+    });
+
+    describe('createSourceStatus', () => {
+        it('should start without entries', () => {
+            expect(createSourceStatus('carddav', 'Office', 'Work, Office', 1000)).to.deep.equal({
+                type: 'carddav',
+                label: 'Office',
+                status: 'ok',
+                stale: false,
+                error: null,
+                count: 0,
+                skipped: [],
+                start: 1000,
+                duration: 0,
+                groups: ['Work', 'Office'],
+            });
+        });
+    });
+
+    describe('finishSourceStatus', () => {
+        it('should set status and duration', () => {
+            const ok = createSourceStatus('ical', 'Family', '', 1000);
+            finishSourceStatus(ok, 1500);
+            expect(ok).to.include({ status: 'ok', duration: 500 });
+
+            const error = { ...createSourceStatus('ical', 'Family', '', 1000), error: 'Error: timeout' };
+            finishSourceStatus(error, 1500);
+            expect(error.status).to.equal('error');
+
+            const stale = { ...error, stale: true };
+            finishSourceStatus(stale, 1500);
+            expect(stale.status).to.equal('stale');
+        });
+    });
+
+    describe('getSourceStateValues', () => {
+        it('should only set lastSuccess or lastError', () => {
+            const status = { ...createSourceStatus('ical', 'Family', '', 1000), count: 2, skipped: [{ name: 'X', reason: 'invalid date' }] };
+            finishSourceStatus(status, 1200);
+
+            expect(getSourceStateValues(status)).to.deep.equal({
+                status: 'ok',
+                lastSuccess: 1000,
+                count: 2,
+                skipped: 1,
+                skippedReasons: '[{"name":"X","reason":"invalid date"}]',
+                duration: 200,
+            });
+
+            status.error = 'Error: timeout';
+            status.stale = true;
+            finishSourceStatus(status, 1200);
+
+            expect(getSourceStateValues(status)).to.include({ status: 'stale', lastError: 'Error: timeout' }).and.not.have.property('lastSuccess');
+        });
+    });
+});
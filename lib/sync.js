@@ -0,0 +1,104 @@
+'use strict';
+
+/**
+ * Synchronisation of objects and states (large address books with thousands of people)
+ *
+ * - existing objects and states are read once per run
+ * - only missing objects are created, removed channels are deleted
+ * - only changed values are written
+ * - all database operations run in parallel with a limited number of concurrent calls
+ *
+ * @typedef {{ objectsCreated: number, objectsDeleted: number, statesWritten: number, statesUnchanged: number }} SyncMetrics
+ */
+
+// Maximum number of concurrent database operations
+const SYNC_CONCURRENCY = 10;
+
+// Channels of birthdays and persons (month.MM.<id> and persons.<id>)
+const MANAGED_CHANNEL = /^(month\.[0-9]{2}|persons)\.[^.]+$/;
+
+/**
+ * @template T
+ * @param {T[]} items
+ * @param {number} limit maximum number of concurrent tasks
+ * @param {(item: T) => Promise<void>} task
+ * @returns {Promise<void>}
+ */
+async function runLimited(items, limit, task) {
+    let index = 0;
+
+    const worker = async () => {
+        while (index < items.length) {
+            await task(items[index++]);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+}
+
+/**
+ * @param {Map<string, ioBroker.StateValue>} states values by id (without namespace)
+ * @param {Record<string, ioBroker.State | null | undefined>} existing current states by full id
+ * @param {string} namespace e.g. birthdays.0
+ * @returns {Array<[string, ioBroker.StateValue]>} states with changed (or not acknowledged) values
+ */
+function diffStates(states, existing, namespace) {
+    return [...states].filter(([id, val]) => {
+        const state = existing[`${namespace}.${id}`];
+
+        return !state || !state.ack || state.val !== val;
+    });
+}
+
+/**
+ * @param {Map<string, Record<string, any>>} objects definitions of all required objects by id (without namespace)
+ * @param {Set<string>} existingIds ids of existing objects (without namespace)
+ * @param {string[]} existingChannels ids of existing channels which are managed by the sync (without namespace)
+ * @returns {{ create: string[], remove: string[] }} missing objects and channels which are no longer required
+ */
+function diffObjects(objects, existingIds, existingChannels) {
+    return {
+        create: [...objects.keys()].filter((id) => !existingIds.has(id)),
+        remove: existingChannels.filter((id) => !objects.has(id)),
+    };
+}
+
+/**
+ * @param {Map<string, Record<string, any>>} objects definitions of all required objects by id (without namespace)
+ * @param {Map<string, Record<string, any>>} existing existing objects by id (without namespace)
+ * @param {Map<string, string>} previousPaths previous path by path of a birthday - custom settings (e.g. history) are copied to new objects
+ * @returns {{ create: string[][], customs: Map<string, string>, rename: string[], remove: string[] }} batches of missing objects (channels before their states), previous id by new id (custom settings), channels with changed names and removed channels
+ */
+function planObjectSync(objects, existing, previousPaths) {
+    const existingChannels = [...existing.keys()].filter((id) => existing.get(id)?.type === 'channel' && MANAGED_CHANNEL.test(id));
+    const { create, remove } = diffObjects(objects, new Set(existing.keys()), existingChannels);
+
+    /** @type {Map<string, string>} */
+    const customs = new Map();
+
+    for (const id of create) {
+        const path = id.slice(0, id.lastIndexOf('.'));
+        const previousId = previousPaths.has(path) ? `${previousPaths.get(path)}${id.slice(path.length)}` : null;
+
+        if (previousId && existing.get(previousId)?.common?.custom) {
+            customs.set(id, previousId);
+        }
+    }
+
+    return {
+        create: [create.filter((id) => objects.get(id)?.type === 'channel'), create.filter((id) => objects.get(id)?.type !== 'channel')],
+        customs,
+        // Corrected names of existing channels (persons.<id>)
+        rename: [...objects.keys()].filter((id) => objects.get(id)?.type === 'channel' && existing.has(id) && existing.get(id)?.common?.name !== objects.get(id)?.common?.name),
+        remove,
+    };
+}
+
+module.exports = {
+    SYNC_CONCURRENCY,
+    MANAGED_CHANNEL,
+    runLimited,
+    diffStates,
+    diffObjects,
+    planObjectSync,
+};
@@ -0,0 +1,123 @@
+'use strict';
+
+const { expect } = require('chai');
+const { MANAGED_CHANNEL, runLimited, diffStates, diffObjects, planObjectSync } = require('./sync');
+
+describe('sync', () => {
+    describe('runLimited', () => {
+        it('should run all tasks with limited concurrency', async () => {
+            const done = [];
+            let running = 0;
+            let maxRunning = 0;
+
+            await runLimited([1, 2, 3, 4, 5, 6, 7], 3, async (item) => {
+                running++;
+                maxRunning = Math.max(maxRunning, running);
+                await new Promise((resolve) => {
+                    setImmediate(resolve);
+                });
+                done.push(item);
+                running--;
+            });
+
+            expect(done.sort()).to.deep.equal([1, 2, 3, 4, 5, 6, 7]);
+            expect(maxRunning).to.equal(3);
+        });
+
+        it('should handle empty lists', async () => {
+            await runLimited([], 10, async () => {
+                throw new Error('not expected');
+            });
+        });
+    });
+
+    describe('diffStates', () => {
+        it('should only return changed states', () => {
+            const states = new Map(Object.entries({ 'next.text': 'John (40)', 'next.daysLeft': 3, 'next.date': null, 'summary.count': 1 }));
+            const existing = {
+                'birthdays.0.next.text': { val: 'John (40)', ack: true, ts: 0, lc: 0, from: '' },
+                'birthdays.0.next.daysLeft': { val: 4, ack: true, ts: 0, lc: 0, from: '' },
+                'birthdays.0.next.date': { val: null, ack: false, ts: 0, lc: 0, from: '' },
+            };
+
+            expect(diffStates(states, existing, 'birthdays.0')).to.deep.equal([
+                ['next.daysLeft', 3],
+                ['next.date', null],
+                ['summary.count', 1],
+            ]);
+        });
+    });
+
+    describe('diffObjects', () => {
+        it('should find missing and removed objects', () => {
+            const objects = new Map([
+                ['month.01.john', { type: 'channel' }],
+                ['month.01.john.age', { type: 'state' }],
+                ['month.02.jane', { type: 'channel' }],
+            ]);
+
+            expect(diffObjects(objects, new Set(['month.01.john', 'month.03.max', 'month.03.max.age']), ['month.01.john', 'month.03.max'])).to.deep.equal({
+                create: ['month.01.john.age', 'month.02.jane'],
+                remove: ['month.03.max'],
+            });
+        });
+    });
+
+    describe('MANAGED_CHANNEL', () => {
+        it('should match channels of birthdays and persons', () => {
+            expect(MANAGED_CHANNEL.test('month.01.john')).to.equal(true);
+            expect(MANAGED_CHANNEL.test('persons.john')).to.equal(true);
+            expect(MANAGED_CHANNEL.test('month.01.john.age')).to.equal(false);
+            expect(MANAGED_CHANNEL.test('month.01')).to.equal(false);
+            expect(MANAGED_CHANNEL.test('groups.family')).to.equal(false);
+        });
+    });
+
+    describe('planObjectSync', () => {
+        it('should create channels before their states', () => {
+            const objects = new Map([
+                ['persons.john.age', { type: 'state' }],
+                ['persons.john', { type: 'channel', common: { name: 'John' } }],
+            ]);
+
+            expect(planObjectSync(objects, new Map(), new Map()).create).to.deep.equal([['persons.john'], ['persons.john.age']]);
+        });
+
+        it('should copy custom settings from previous paths', () => {
+            const objects = new Map([
+                ['persons.john', { type: 'channel', common: { name: 'John' } }],
+                ['persons.john.age', { type: 'state' }],
+                ['persons.john.name', { type: 'state' }],
+            ]);
+            const existing = new Map([
+                ['month.01.john', { type: 'channel', common: { name: 'John' } }],
+                ['month.01.john.age', { type: 'state', common: { custom: { 'history.0': { enabled: true } } } }],
+                ['month.01.john.name', { type: 'state', common: {} }],
+            ]);
+
+            const plan = planObjectSync(objects, existing, new Map([['persons.john', 'month.01.john']]));
+
+            expect([...plan.customs]).to.deep.equal([['persons.john.age', 'month.01.john.age']]);
+            expect(plan.remove).to.deep.equal(['month.01.john']);
+        });
+
+        it('should rename changed channels and keep unmanaged channels', () => {
+            const objects = new Map([
+                ['persons.john', { type: 'channel', common: { name: 'John Doe' } }],
+                ['persons.jane', { type: 'channel', common: { name: 'Jane' } }],
+            ]);
+            const existing = new Map([
+                ['persons.john', { type: 'channel', common: { name: 'John' } }],
+                ['persons.jane', { type: 'channel', common: { name: 'Jane' } }],
+                ['persons.max', { type: 'channel', common: { name: 'Max' } }],
+                ['month.01', { type: 'channel', common: { name: 'January' } }],
+            ]);
+
+            const plan = planObjectSync(objects, existing, new Map());
+
+            expect(plan.create).to.deep.equal([[], []]);
+            expect(plan.rename).to.deep.equal(['persons.john']);
+            expect(plan.remove).to.deep.equal(['persons.max']);
+        });
+    });
+});
@@ -0,0 +1,307 @@
+'use strict';
+
+/**
+ * Template language of all text outputs
+ *
+ * - Variables: {name}
+ * - Plural forms: {age:# year|# years} (# is replaced by the value, with three forms: zero|one|other)
+ * - Plural categories of the language: {age:one=# год|few=# года|many=# лет|other=# года} (Intl.PluralRules, zero= is used for 0)
+ * - Conditions: {if today}today{elif tomorrow}tomorrow{else}in {daysLeft} days{/if}
+ *   (supports !var and comparisons: ==, !=, <, <=, >, >= with numbers or quoted strings)
+ * - Legacy placeholders (e.g. %n) are mapped to variables by the caller
+ *
+ * @typedef {{ type: 'text', value: string }} TextNode
+ * @typedef {{ type: 'var', name: string, forms: string[] | null, categories: Record<string, string> | null }} VarNode
+ * @typedef {{ type: 'if', branches: Array<{ condition: Condition, body: TemplateNode[] }>, elseBody: TemplateNode[] }} IfNode
+ * @typedef {TextNode | VarNode | IfNode} TemplateNode
+ * @typedef {{ negate: boolean, name: string, operator?: string, value?: string | number }} Condition
+ * @typedef {{ legacy?: Record<string, string>, variables?: string[], locale?: string }} TemplateOptions
+ */
+
+const CONDITION_REGEX = /^(!)?\s*([a-zA-Z]\w*)\s*(?:(==|!=|<=|>=|<|>)\s*(-?\d+(?:\.\d+)?|'[^']*'|"[^"]*"))?$/;
+const VARIABLE_REGEX = /^([a-zA-Z]\w*)(?::(.*))?$/s;
+const PLURAL_CATEGORY_REGEX = /^(zero|one|two|few|many|other)=(.*)$/s;
+
+class TemplateError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} position
+     */
+    constructor(message, position) {
+        super(`${message} at position ${position + 1}`);
+        this.name = 'TemplateError';
+        this.position = position;
+    }
+}
+
+/**
+ * @param {string} template
+ * @param {TemplateOptions} [options]
+ * @returns {TemplateNode[]}
+ */
+function parseTemplate(template, options = {}) {
+    const legacy = options.legacy ?? {};
+    const source = String(template ?? '').replace(/%([a-zA-Z])/g, (match, placeholder) => (legacy[placeholder] ? `{${legacy[placeholder]}}` : match));
+
+    /** @type {TemplateNode[]} */
+    const root = [];
+    /** @type {Array<{ node: IfNode, parent: TemplateNode[], position: number }>} */
+    const openIfs = [];
+    let current = root;
+    let position = 0;
+
+    const checkVariable = (name, tagPosition) => {
+        if (options.variables && !options.variables.includes(name)) {
+            throw new TemplateError(`unknown variable "${name}"`, tagPosition);
+        }
+    };
+
+    const parseCondition = (expression, tagPosition) => {
+        const match = CONDITION_REGEX.exec(expression.trim());
+        if (!match) {
+            throw new TemplateError(`invalid condition "${expression.trim()}"`, tagPosition);
+        }
+
+        checkVariable(match[2], tagPosition);
+
+        /** @type {Condition} */
+        const condition = { negate: !!match[1], name: match[2] };
+        if (match[3]) {
+            condition.operator = match[3];
+            condition.value = /^['"]/.test(match[4]) ? match[4].slice(1, -1) : Number(match[4]);
+        }
+
+        return condition;
+    };
+
+    while (position < source.length) {
+        const tagStart = source.indexOf('{', position);
+
+        if (tagStart === -1) {
+            current.push({ type: 'text', value: source.slice(position) });
+            break;
+        }
+
+        if (tagStart > position) {
+            current.push({ type: 'text', value: source.slice(position, tagStart) });
+        }
+
+        const tagEnd = source.indexOf('}', tagStart);
+        if (tagEnd === -1) {
+            throw new TemplateError('missing "}"', tagStart);
+        }
+
+        const tag = source.slice(tagStart + 1, tagEnd);
+        const keyword = tag.trim().split(/\s+/)[0];
+
+        if (keyword === 'if') {
+            /** @type {IfNode} */
+            const node = { type: 'if', branches: [{ condition: parseCondition(tag.trim().slice(2), tagStart), body: [] }], elseBody: [] };
+
+            current.push(node);
+            openIfs.push({ node, parent: current, position: tagStart });
+            current = node.branches[0].body;
+        } else if (keyword === 'elif' || keyword === 'else' || keyword === '/if') {
+            const openIf = openIfs[openIfs.length - 1];
+            if (!openIf) {
+                throw new TemplateError(`unexpected "{${tag}}"`, tagStart);
+            }
+
+            if (keyword === '/if') {
+                openIfs.pop();
+                current = openIf.parent;
+            } else if (current === openIf.node.elseBody) {
+                throw new TemplateError(`unexpected "{${tag}}" after "{else}"`, tagStart);
+            } else if (keyword === 'elif') {
+                const branch = { condition: parseCondition(tag.trim().slice(4), tagStart), body: [] };
+
+                openIf.node.branches.push(branch);
+                current = branch.body;
+            } else {
+                current = openIf.node.elseBody;
+            }
+        } else {
+            const match = VARIABLE_REGEX.exec(tag.trim());
+            if (!match) {
+                throw new TemplateError(`invalid tag "{${tag}}"`, tagStart);
+            }
+
+            checkVariable(match[1], tagStart);
+
+            let forms = match[2] !== undefined ? match[2].split('|') : null;
+            /** @type {Record<string, string> | null} */
+            let categories = null;
+
+            if (forms && forms.some((form) => PLURAL_CATEGORY_REGEX.test(form))) {
+                categories = {};
+
+                for (const form of forms) {
+                    const categoryMatch = PLURAL_CATEGORY_REGEX.exec(form);
+                    if (!categoryMatch || categories[categoryMatch[1]] !== undefined) {
+                        throw new TemplateError(`plural categories of "${match[1]}" require unique forms like one=...|other=...`, tagStart);
+                    }
+
+                    categories[categoryMatch[1]] = categoryMatch[2];
+                }
+
+                if (categories['other'] === undefined) {
+                    throw new TemplateError(`plural categories of "${match[1]}" require the category "other"`, tagStart);
+                }
+
+                forms = null;
+            } else if (forms && (forms.length < 2 || forms.length > 3)) {
+                throw new TemplateError(`plural forms of "${match[1]}" require 2 (one|other) or 3 (zero|one|other) forms`, tagStart);
+            }
+
+            current.push({ type: 'var', name: match[1], forms, categories });
+        }
+
+        position = tagEnd + 1;
+    }
+
+    if (openIfs.length > 0) {
+        throw new TemplateError('missing "{/if}"', openIfs[openIfs.length - 1].position);
+    }
+
+    return root;
+}
+
+/**
+ * @param {Condition} condition
+ * @param {Record<string, any>} variables
+ * @returns {boolean}
+ */
+function evaluateCondition(condition, variables) {
+    const value = variables[condition.name];
+    let result;
+
+    if (condition.operator) {
+        const left = typeof condition.value === 'number' ? Number(value) : String(value ?? '');
+        const right = condition.value ?? '';
+
+        if (value === null || value === undefined || value === '') {
+            result = condition.operator === '!=' ? right !== '' : false;
+        } else {
+            switch (condition.operator) {
+                case '==':
+                    result = left === right;
+                    break;
+                case '!=':
+                    result = left !== right;
+                    break;
+                case '<':
+                    result = left < right;
+                    break;
+                case '<=':
+                    result = left <= right;
+                    break;
+                case '>':
+                    result = left > right;
+                    break;
+                default:
+                    result = left >= right;
+            }
+        }
+    } else {
+        result = value !== null && value !== undefined && value !== '' && value !== false && value !== 0;
+    }
+
+    return condition.negate ? !result : result;
+}
+
+/**
+ * @param {string[]} forms
+ * @param {any} value
+ * @returns {string}
+ */
+function getPluralForm(forms, value) {
+    const count = Math.abs(Number(value));
+
+    if (forms.length === 3 && count === 0) {
+        return forms[0];
+    }
+
+    return count === 1 ? forms[forms.length - 2] : forms[forms.length - 1];
+}
+
+/**
+ * @param {Record<string, string>} categories
+ * @param {any} value
+ * @param {string} [locale]
+ * @returns {string}
+ */
+function getPluralCategoryForm(categories, value, locale) {
+    const count = Math.abs(Number(value));
+
+    if (count === 0 && categories.zero !== undefined) {
+        return categories.zero;
+    }
+
+    let category = 'other';
+    try {
+        category = new Intl.PluralRules(locale || 'en').select(count);
+    } catch {
+        // Unknown locale
+    }
+
+    return categories[category] ?? categories.other;
+}
+
+/**
+ * @param {TemplateNode[]} nodes
+ * @param {Record<string, any>} variables
+ * @param {string} [locale]
+ * @returns {string}
+ */
+function renderNodes(nodes, variables, locale) {
+    return nodes
+        .map((node) => {
+            if (node.type === 'text') {
+                return node.value;
+            } else if (node.type === 'var') {
+                const value = variables[node.name];
+                const str = value === null || value === undefined ? '' : String(value);
+
+                if (node.categories) {
+                    return getPluralCategoryForm(node.categories, value, locale).replace(/#/g, str);
+                }
+
+                return node.forms ? getPluralForm(node.forms, value).replace(/#/g, str) : str;
+            }
+
+            const branch = node.branches.find((b) => evaluateCondition(b.condition, variables));
+            return renderNodes(branch ? branch.body : node.elseBody, variables, locale);
+        })
+        .join('');
+}
+
+/**
+ * @param {string} template
+ * @param {Record<string, any>} variables
+ * @param {TemplateOptions} [options]
+ * @returns {string}
+ */
+function renderTemplate(template, variables, options) {
+    return renderNodes(parseTemplate(template, options), variables, options?.locale);
+}
+
+/**
+ * @param {string} template
+ * @param {TemplateOptions} [options]
+ * @returns {string | null} error message or null if valid
+ */
+function validateTemplate(template, options) {
+    try {
+        parseTemplate(template, options);
+        return null;
+    } catch (err) {
+        return err.message;
+    }
+}
+
+module.exports = {
+    TemplateError,
+    parseTemplate,
+    renderTemplate,
+    validateTemplate,
+};
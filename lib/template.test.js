@@ -0,0 +1,77 @@
+'use strict';
+
+const { expect } = require('chai');
+const { renderTemplate, validateTemplate } = require('./template');
+
+describe('template', () => {
+    const variables = { name: 'Anna', age: 1, birthYear: 2025, daysLeft: 0, today: true, tomorrow: false, years: 21, months: 1, days: 0, source: '' };
+    const options = { legacy: { n: 'name', a: 'age' }, variables: Object.keys(variables) };
+
+    describe('renderTemplate', () => {
+        it('should replace all occurrences of variables', () => {
+            expect(renderTemplate('{name} - {name} ({age})', variables)).to.equal('Anna - Anna (1)');
+        });
+
+        it('should replace all occurrences of legacy placeholders', () => {
+            expect(renderTemplate('%n turns %a (%n)', variables, options)).to.equal('Anna turns 1 (Anna)');
+            expect(renderTemplate('100%d', variables, options)).to.equal('100%d');
+        });
+
+        it('should render empty strings for missing values', () => {
+            expect(renderTemplate('{name}{source}', variables)).to.equal('Anna');
+        });
+
+        it('should choose singular and plural forms', () => {
+            expect(renderTemplate('{years:# year|# years}, {months:# month|# months}', variables)).to.equal('21 years, 1 month');
+            expect(renderTemplate('{days:no days|# day|# days}', variables)).to.equal('no days');
+            expect(renderTemplate('{days:# day|# days}', variables)).to.equal('0 days');
+        });
+
+        it('should choose plural categories of the language', () => {
+            const forms = '{age:one=# год|few=# года|many=# лет|other=# года}';
+
+            expect([1, 2, 5, 11, 21, 22, 25].map((age) => renderTemplate(forms, { age }, { locale: 'ru' }))).to.deep.equal(['1 год', '2 года', '5 лет', '11 лет', '21 год', '22 года', '25 лет']);
+            expect(renderTemplate('{age:one=# rok|few=# lata|many=# lat|other=# roku}', { age: 22 }, { locale: 'pl' })).to.equal('22 lata');
+            expect(renderTemplate('{age:one=# an|other=# ans}', { age: 0 }, { locale: 'fr' })).to.equal('0 an');
+            expect(renderTemplate('{age:zero=new|one=# year|other=# years}', { age: 0 })).to.equal('new');
+            expect(renderTemplate('{age:one=# year|other=# years}', { age: 2 }, { locale: 'ru' })).to.equal('2 years');
+        });
+
+        it('should evaluate conditions', () => {
+            const template = '{if today}today{elif tomorrow}tomorrow{else}in {daysLeft:# day|# days}{/if}';
+
+            expect(renderTemplate(template, variables)).to.equal('today');
+            expect(renderTemplate(template, { ...variables, daysLeft: 1, today: false, tomorrow: true })).to.equal('tomorrow');
+            expect(renderTemplate(template, { ...variables, daysLeft: 5, today: false })).to.equal('in 5 days');
+        });
+
+        it('should evaluate comparisons, negations and nested conditions', () => {
+            expect(renderTemplate('{if years >= 18}{if name == "Anna"}adult Anna{/if}{else}child{/if}', variables)).to.equal('adult Anna');
+            expect(renderTemplate('{if years < 18}child{else}adult{/if}', variables)).to.equal('adult');
+            expect(renderTemplate('{if !source}no source{/if}', variables)).to.equal('no source');
+            expect(renderTemplate('{name}{if age} ({age}){/if}', { ...variables, age: null })).to.equal('Anna');
+        });
+    });
+
+    describe('validateTemplate', () => {
+        it('should accept valid templates', () => {
+            expect(validateTemplate('{if today}{name}{elif age > 10}{age:# year|# years}{else}%n{/if}', options)).to.equal(null);
+        });
+
+        it('should report syntax errors with position', () => {
+            expect(validateTemplate('{name', options)).to.equal('missing "}" at position 1');
+            expect(validateTemplate('x {/if}', options)).to.equal('unexpected "{/if}" at position 3');
+            expect(validateTemplate('{if today}x', options)).to.equal('missing "{/if}" at position 1');
+            expect(validateTemplate('{if today}{else}{elif tomorrow}{/if}', options)).to.equal('unexpected "{elif tomorrow}" after "{else}" at position 17');
+            expect(validateTemplate('{if age ==}x{/if}', options)).to.equal('invalid condition "age ==" at position 1');
+            expect(validateTemplate('{age:one}', options)).to.match(/^plural forms of "age" require/);
+            expect(validateTemplate('{age:one=# year|# years}', options)).to.match(/^plural categories of "age" require unique forms/);
+            expect(validateTemplate('{age:one=# year|few=# years}', options)).to.match(/^plural categories of "age" require the category "other"/);
+        });
+
+        it('should report unknown variables', () => {
+            expect(validateTemplate('{nam}', options)).to.equal('unknown variable "nam" at position 1');
+            expect(validateTemplate('{if foo}x{/if}', options)).to.equal('unknown variable "foo" at position 1');
+        });
+    });
+});
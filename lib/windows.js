@@ -0,0 +1,104 @@
+'use strict';
+
+/**
+ * Windows of upcoming birthdays (today, tomorrow and configured "next X days")
+ *
+ * - days are counted from today (next 7 days: today and the following 6 days)
+ * - configured windows with the same number of days are only created once
+ *
+ * @typedef {{ id: string, from: number, to: number, template: string, name: ioBroker.StringOrTranslated }} Window
+ */
+
+/**
+ * @param {any} configWindows rows of the windows table
+ * @returns {Window[]}
+ */
+function getWindows(configWindows) {
+    /** @type {Window[]} */
+    const windows = [
+        {
+            id: 'today',
+            from: 0,
+            to: 0,
+            template: '',
+            name: {
+                en: 'Today',
+                de: 'Heute',
+                ru: 'Сегодня',
+                pt: 'Hoje',
+                nl: 'Vandaag',
+                fr: `Aujourd'hui`,
+                it: 'Oggi',
+                es: 'Hoy',
+                pl: 'Dzisiaj',
+                uk: 'Сьогодні',
+                'zh-cn': '今天',
+            },
+        },
+        {
+            id: 'tomorrow',
+            from: 1,
+            to: 1,
+            template: '',
+            name: {
+                en: 'Tomorrow',
+                de: 'Morgen',
+                ru: 'Завтра',
+                pt: 'Amanhã',
+                nl: 'Morgen',
+                fr: 'Demain',
+                it: 'Domani',
+                es: 'Mañana',
+                pl: 'Jutro',
+                uk: 'Завтра',
+                'zh-cn': '明天',
+            },
+        },
+    ];
+
+    /** @type {Array<{ active?: boolean, days?: number, template?: string }>} */
+    const rows = Array.isArray(configWindows) ? configWindows : [];
+
+    for (const configWindow of rows) {
+        const days = parseInt(String(configWindow.days));
+
+        if (configWindow.active !== false && days > 0 && !windows.some((window) => window.id === `next${days}Days`)) {
+            windows.push({
+                id: `next${days}Days`,
+                from: 0,
+                to: days - 1,
+                template: configWindow.template ? String(configWindow.template) : '',
+                name: {
+                    en: `Next ${days} days`,
+                    de: `Nächste ${days} Tage`,
+                    ru: `Следующие ${days} дней`,
+                    pt: `Próximos ${days} dias`,
+                    nl: `Volgende ${days} dagen`,
+                    fr: `${days} prochains jours`,
+                    it: `Prossimi ${days} giorni`,
+                    es: `Próximos ${days} días`,
+                    pl: `Następne ${days} dni`,
+                    uk: `Наступні ${days} днів`,
+                    'zh-cn': `未来 ${days} 天`,
+                },
+            });
+        }
+    }
+
+    return windows;
+}
+
+/**
+ * @template {{ daysLeft: number }} T
+ * @param {T[]} birthdays
+ * @param {Window} window
+ * @returns {T[]} birthdays within the window
+ */
+function getWindowBirthdays(birthdays, window) {
+    return birthdays.filter((birthday) => birthday.daysLeft >= window.from && birthday.daysLeft <= window.to);
+}
+
+module.exports = {
+    getWindows,
+    getWindowBirthdays,
+};
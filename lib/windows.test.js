@@ -0,0 +1,40 @@
+'use strict';
+
+const { expect } = require('chai');
+const { getWindows, getWindowBirthdays } = require('./windows');
+
+describe('windows', () => {
+    describe('getWindows', () => {
+        it('should always contain today and tomorrow', () => {
+            const windows = getWindows(undefined);
+
+            expect(windows.map((window) => [window.id, window.from, window.to])).to.deep.equal([
+                ['today', 0, 0],
+                ['tomorrow', 1, 1],
+            ]);
+        });
+
+        it('should add active windows once', () => {
+            const windows = getWindows([{ days: 7, template: '{name} ({date})' }, { days: '7' }, { days: 30, active: false }, { days: 0 }, { days: 'x' }, { days: 14 }]);
+
+            expect(windows.map((window) => [window.id, window.from, window.to, window.template])).to.deep.equal([
+                ['today', 0, 0, ''],
+                ['tomorrow', 1, 1, ''],
+                ['next7Days', 0, 6, '{name} ({date})'],
+                ['next14Days', 0, 13, ''],
+            ]);
+            expect(windows[2].name).to.include({ en: 'Next 7 days', de: 'Nächste 7 Tage' });
+        });
+    });
+
+    describe('getWindowBirthdays', () => {
+        it('should include both ends of the window', () => {
+            const birthdays = [0, 1, 6, 7].map((daysLeft) => ({ daysLeft }));
+            const [today, tomorrow, next7Days] = getWindows([{ days: 7 }]);
+
+            expect(getWindowBirthdays(birthdays, today)).to.deep.equal([{ daysLeft: 0 }]);
+            expect(getWindowBirthdays(birthdays, tomorrow)).to.deep.equal([{ daysLeft: 1 }]);
+            expect(getWindowBirthdays(birthdays, next7Days)).to.deep.equal([{ daysLeft: 0 }, { daysLeft: 1 }, { daysLeft: 6 }]);
+        });
+    });
+});
@@ -6,8 +6,66 @@ const moment = require('moment');
 const axios = require('axios').default;
 const https = require('node:https');
 const ICAL = require('ical.js');
+const { CardDavClient } = require('./lib/carddav');
+const { getLeapDayPolicy, getNextOccurrence, getAge, parseReferenceDate } = require('./lib/dates');
+const { renderTemplate, validateTemplate } = require('./lib/template');
+const { mergeEntries, parseSourcePriority } = require('./lib/merge');
+const { createYearStrategies, extractBirthYear, cleanName } = require('./lib/birthyear');
+const { getMasterEvents, getFloatingDate, getRecurrence } = require('./lib/icalevents');
+const { getFileFormat, parseCsv, csvToImportRows, jsonToImportRows } = require('./lib/fileimport');
+const { exportRows, detectFormat, mergeRows } = require('./lib/settingstable');
+const { parseGroups, mergeGroups, matchesGroups, getCategories, normalizeVCardUid, getVCardGroupMembers } = require('./lib/groups');
+const { getLanguage, getLocalizedText } = require('./lib/i18n');
+const { getNextSignificantBirthday } = require('./lib/significant');
+const { parseDeathDate, hasDeathDay, toMoment, formatDeathDate, getDeathProblem, getMemorialYears, extractMemorialMarker } = require('./lib/memorial');
+const { loadNamedayCalendar, createNamedayIndex, parseNamedayAliases, findNamedays, getNamesOfDay } = require('./lib/nameday');
+const { parseReminders, parseRemindersHour, getDueBirthdays, getReminderKey, parseSentReminders, getNotificationMessage } = require('./lib/reminders');
+const { createIcalExport } = require('./lib/icalexport');
+const { getWindows, getWindowBirthdays } = require('./lib/windows');
+const { cleanNamespace } = require('./lib/namespace');
+const { formatPreviewText } = require('./lib/preview');
+const { getPersonId, getMonthPath, getBirthdayPaths } = require('./lib/persons');
+const { getSourceId, createSourceStatus, finishSourceStatus, getSourceStateValues } = require('./lib/sourcestatus');
+const { getCacheFileName, createCache, parseCache, isCacheExpired } = require('./lib/cache');
+const { SYNC_CONCURRENCY, runLimited, diffStates, planObjectSync } = require('./lib/sync');
 const adapterName = require('./package.json').name.split('.').pop();
 
+// Placeholder for birthdays without known birth year (leap year to keep February 29 - same as Apple Contacts)
+const UNKNOWN_YEAR = 1604;
+
+const BIRTHDAY_TEMPLATE_VARIABLES = [
+    'name',
+    'age',
+    'birthYear',
+    'date',
+    'dateLong',
+    'weekday',
+    'month',
+    'daysLeft',
+    'today',
+    'tomorrow',
+    'source',
+    'sourceType',
+    'group',
+    'type',
+    'deceased',
+    'deathDate',
+    'ageAtDeath',
+    'yearsSincePassing',
+];
+const BIRTHDAY_TEMPLATE = {
+    legacy: { n: 'name', a: 'age', y: 'birthYear', d: 'daysLeft', t: 'date' },
+    variables: BIRTHDAY_TEMPLATE_VARIABLES,
+};
+const CURRENT_AGE_TEMPLATE = {
+    legacy: { y: 'years', m: 'months', d: 'days' },
+    variables: [...BIRTHDAY_TEMPLATE_VARIABLES, 'years', 'months', 'days'],
+};
+const LIST_TEMPLATE = {
+    legacy: {},
+    variables: ['list', 'count', 'date', 'dateLong', 'weekday', 'month', 'daysLeft', 'today', 'tomorrow'],
+};
+
 class Birthdays extends utils.Adapter {
     constructor(options) {
         super({
@@ -17,10 +75,32 @@ class Birthdays extends utils.Adapter {
         });
 
         this.today = moment({ hour: 0, minute: 0 });
+        /** @type {import('./lib/i18n').Language} */
+        this.textLanguage = 'en';
         this.birthdays = [];
         this.birthdaysSignificant = [];
+        this.memorials = [];
+        this.namedays = [];
+        this.collectedBirthdays = [];
+        this.conflicts = [];
+        this.sourceStatus = {};
+        /** @type {Set<string>} ids of persons.<id> (unique per run) */
+        this.personIds = new Set();
+
+        this.refreshPromise = null;
+        this.refreshTimeout = null;
+        this.previewPromise = null;
+        this.previewMode = false;
+        /** @type {Map<string, ioBroker.StateValue>} states of the last run (or preview) by id */
+        this.resultStates = new Map();
+        this.remindersTimeout = null;
+        this.remindersPromise = null;
+        /** @type {Promise<any>} saves of the settings table (one at a time) */
+        this.updateConfigPromise = Promise.resolve();
+        this.invalidTemplates = [];
 
         this.on('ready', this.onReady.bind(this));
+        this.on('message', this.onMessage.bind(this));
         this.on('unload', this.onUnload.bind(this));
     }
 
@@ -98,533 +178,578 @@ class Birthdays extends utils.Adapter {
             });
         }
 
-        Promise.all([this.addBySettings(), this.addByCalendar(), this.addByCardDav()])
-            .then((data) => {
-                this.log.debug(`[onReady] everything collected: ${JSON.stringify(data)}`);
+        await this.createEventTypeObjects();
+        await this.createWindowObjects();
+        await this.createNextObjects('memorial.next', {
+            en: 'Next memorial dates',
+            de: 'Nächste Gedenktage',
+            ru: 'Следующие памятные даты',
+            pt: 'Próximas datas de memória',
+            nl: 'Volgende herdenkingsdagen',
+            fr: 'Prochaines dates commémoratives',
+            it: 'Prossime date commemorative',
+            es: 'Próximas fechas conmemorativas',
+            pl: 'Następne dni pamięci',
+            uk: 'Наступні пам’ятні дати',
+            'zh-cn': '下一个纪念日',
+        });
+        await this.createNextObjects('nameday.next', {
+            en: 'Next name days',
+            de: 'Nächste Namenstage',
+            ru: 'Следующие именины',
+            pt: 'Próximos dias onomásticos',
+            nl: 'Volgende naamdagen',
+            fr: 'Prochaines fêtes des prénoms',
+            it: 'Prossimi onomastici',
+            es: 'Próximos onomásticos',
+            pl: 'Następne imieniny',
+            uk: 'Наступні іменини',
+            'zh-cn': '下一个命名日',
+        });
 
-                const addedBirthdaysSum = data.reduce((pv, cv) => pv + cv, 0);
-                if (addedBirthdaysSum === 0) {
-                    this.log.error(`No birthdays found in any configured source - please check configuration and retry`);
-                }
+        // this.language: system language (system.config)
+        this.textLanguage = getLanguage(this.config.language || this.language);
+        this.log.debug(`[onReady] language of texts: ${this.textLanguage}`);
 
-                return this.fillStates();
-            })
-            .then(() => {
-                this.log.debug(`[onReady] Everything done`);
-            })
-            .catch((err) => {
-                this.log.error(`[onReady] Error: ${JSON.stringify(err)}`);
-            })
-            .finally(() => {
-                this.log.debug(`[onReady] Finally shutting down`);
-                this.stop();
+        if (this.config.personObjects) {
+            await this.setObjectNotExistsAsync('persons', {
+                type: 'channel',
+                common: {
+                    name: {
+                        en: 'Persons',
+                        de: 'Personen',
+                        ru: 'Люди',
+                        pt: 'Pessoas',
+                        nl: 'Personen',
+                        fr: 'Personnes',
+                        it: 'Persone',
+                        es: 'Personas',
+                        pl: 'Osoby',
+                        uk: 'Люди',
+                        'zh-cn': '人员',
+                    },
+                },
+                native: {},
             });
-    }
-
-    async addBySettings() {
-        return new Promise((resolve) => {
-            const birthdays = this.config.birthdays;
-            let addedBirthdays = 0;
-
-            if (birthdays && Array.isArray(birthdays)) {
-                for (const b in birthdays) {
-                    const birthday = birthdays[b];
-
-                    if (birthday.name) {
-                        const configBirthday = moment({ year: birthday.year, month: birthday.month - 1, day: birthday.day });
-
-                        if (configBirthday.isValid() && configBirthday.year() <= this.today.year()) {
-                            this.log.debug(`[settings] found birthday: ${birthday.name} (${birthday.year})`);
+        }
 
-                            if (this.addBirthday(birthday.name, configBirthday)) {
-                                addedBirthdays++;
-                            }
-                        } else {
-                            this.log.warn(`[settings] invalid birthday date: ${birthday.name}`);
-                        }
-                    }
-                }
-            }
+        if (this.config.referenceDate) {
+            this.log.warn(`[onReady] reference date is set to "${this.config.referenceDate}" - reminders are disabled`);
+        }
 
-            this.log.debug(`[settings] done`);
-            resolve(addedBirthdays);
-        });
+        await this.refresh();
+        this.scheduleRefresh();
+        this.scheduleReminders();
     }
 
-    async addByCalendar() {
-        return new Promise((resolve) => {
-            const iCalUrl = this.config.icalUrl;
-            if (iCalUrl) {
-                this.log.debug(`[ical] url/path: ${iCalUrl}`);
-
-                if (iCalUrl.startsWith('http')) {
-                    this.log.debug('[ical] addByCalendar - looks like an http url, performing get request');
-
-                    const httpsAgentOptions = {};
-
-                    if (this.config.icalUrlIgnoreCertErrors) {
-                        this.log.debug('[ical] addByCalendar - performing https requests with rejectUnauthorized = false');
-                        httpsAgentOptions.rejectUnauthorized = false;
-                    }
+    /**
+     * Collects the birthdays of all sources and fills all states (only one run at a time)
+     *
+     * @returns {Promise<number>} count of collected birthdays
+     */
+    async refresh() {
+        if (!this.refreshPromise) {
+            // A running preview (or reminders) use the same properties (e.g. this.birthdays)
+            this.refreshPromise = Promise.allSettled([this.previewPromise, this.remindersPromise])
+                .then(() => this.collectAndFillStates())
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
 
-                    axios({
-                        method: 'get',
-                        url: iCalUrl,
-                        timeout: 4500,
-                        httpsAgent: new https.Agent(httpsAgentOptions),
-                        auth: {
-                            username: this.config.icalUser,
-                            password: this.config.icalPassword,
-                        },
-                    })
-                        .then(async (response) => {
-                            this.log.debug(`[ical] http(s) request finished with status: ${response.status}`);
-                            let addedBirthdays = 0;
+        return this.refreshPromise;
+    }
 
-                            if (response.data) {
-                                this.log.silly(`[ical] addByCalendar - received file contents: ${response.data}`);
+    async collectAndFillStates() {
+        try {
+            await this.collectBirthdays(this.getReferenceDate());
 
-                                addedBirthdays = await this.addByIcalData(response.data);
-                            }
+            await this.fillSourceStates();
+            await this.fillStates();
+            await this.exportIcal();
 
-                            resolve(addedBirthdays);
-                        })
-                        .catch((error) => {
-                            this.log.warn(`[ical] ${error}`);
-                            this.log.debug(`[ical] done with error`);
-                            resolve(0);
-                        });
-                } else {
-                    try {
-                        this.log.debug('[ical] addByCalendar - try to load local file');
-
-                        // local file
-                        if (fs.existsSync(iCalUrl)) {
-                            const data = fs.readFileSync(iCalUrl).toString();
-                            this.log.silly(`[ical] addByCalendar - loaded file contents: ${data}`);
-
-                            this.addByIcalData(data).then((addedBirthdays) => {
-                                resolve(addedBirthdays);
-                            });
-                        } else {
-                            this.log.error(`[ical] local file "${iCalUrl}" doesn't exists`);
-                            resolve(0);
-                        }
-                    } catch (err) {
-                        this.log.error(`[ical] error when loading local file "${iCalUrl}": ${err}`);
-                        resolve(0);
-                    }
-                }
+            if (this.config.referenceDate) {
+                this.log.debug(`[refresh] reminders are disabled (reference date "${this.config.referenceDate}")`);
             } else {
-                this.log.debug(`[ical] done - url not configured - skipped`);
-                resolve(0);
+                await this.runReminders();
             }
-        });
-    }
-
-    async addByIcalData(dataStr) {
-        return new Promise((resolve) => {
-            let addedBirthdays = 0;
-
-            try {
-                // Parse ical
-                const icalData = ICAL.parse(dataStr);
-                const comp = new ICAL.Component(icalData);
-                const vevents = comp.getAllSubcomponents('vevent');
-
-                this.log.debug(`[ical] found ${vevents.length} events`);
-
-                for (const vevent of vevents) {
-                    const event = new ICAL.Event(vevent);
-
-                    if (event.summary !== undefined && !isNaN(event.description) && event.startDate) {
-                        const name = event.summary;
-                        const birthYear = parseInt(event.description);
-
-                        this.log.debug(`[ical] processing event: ${JSON.stringify(event)} - ${event.isRecurring() ? Object.keys(event.getRecurrenceTypes()) : 'not recurring!'}`);
-
-                        if (name && birthYear && !isNaN(birthYear)) {
-                            const startDate = event.startDate.toJSDate();
-                            const calendarBirthday = moment({ year: birthYear, month: startDate.getMonth(), day: startDate.getDate() });
-
-                            if (calendarBirthday.isValid() && calendarBirthday.year() <= this.today.year()) {
-                                this.log.debug(`[ical] found birthday: ${name} (${birthYear})`);
-
-                                if (!event.isRecurring()) {
-                                    this.log.warn(`[ical] birthday event of ${name} is not defined as recurring - will be skipped in future versions: ${JSON.stringify(event)}`);
-                                } else if (!Object.keys(event.getRecurrenceTypes()).includes('YEARLY')) {
-                                    this.log.warn(`[ical] birthday event of ${name} is not recurring yearly - will be skipped in future versions: ${JSON.stringify(event)}`);
-                                }
-
-                                if (this.addBirthday(name, calendarBirthday)) {
-                                    addedBirthdays++;
-                                }
-                            } else {
-                                this.log.warn(`[ical] invalid birthday date: ${name}`);
-                            }
-                        } else if (name) {
-                            this.log.debug(`[ical] missing birth year in event description: ${name}`);
-                        }
-                    }
-                }
+            this.log.debug(`[refresh] Everything done`);
+        } catch (err) {
+            this.log.error(`[refresh] Error: ${err}`);
+        }
 
-                this.log.debug(`[ical] processed all events`);
-            } catch (err) {
-                this.log.error(`[ical] unable to parse ical data (invalid file format?): ${err}`);
-            }
+        await this.setStateAsync('info.lastRun', { val: Date.now(), ack: true });
 
-            resolve(addedBirthdays);
-        });
+        return this.birthdays.length;
     }
 
-    async addByCardDav() {
-        return new Promise((resolve) => {
-            const carddavUrl = this.config.carddavUrl;
-            if (carddavUrl) {
-                this.log.debug(`[carddav] url: ${carddavUrl}`);
-
-                const httpsAgentOptions = {};
-
-                if (this.config.carddavIgnoreCertErrors) {
-                    this.log.debug('[carddav] addByCardDav - performing https requests with rejectUnauthorized = false');
-                    httpsAgentOptions.rejectUnauthorized = false;
-                }
-
-                axios({
-                    method: 'get',
-                    url: carddavUrl,
-                    timeout: 4500,
-                    httpsAgent: new https.Agent(httpsAgentOptions),
-                    auth: {
-                        username: this.config.carddavUser,
-                        password: this.config.carddavPassword,
-                    },
-                })
-                    .then((response) => {
-                        this.log.debug(`[carddav] http(s) request finished with status: ${response.status}`);
-                        let addedBirthdays = 0;
-
-                        if (response.data) {
-                            // Parse vcards
-                            const vcards = ICAL.parse(response.data);
-
-                            this.log.debug(`[carddav] found ${vcards.length} contacts`);
-
-                            for (const vcard of vcards) {
-                                this.log.debug(`[carddav] processing vcard: ${JSON.stringify(vcard)}`);
-
-                                const comp = new ICAL.Component(vcard);
-                                const name = comp.getFirstPropertyValue('fn');
-                                const bday = comp.getFirstPropertyValue('bday');
-
-                                if (name && bday) {
-                                    const carddavBirthday = moment(bday, 'YYYY-MM-DD');
-
-                                    if (carddavBirthday.isValid() && carddavBirthday.year() <= this.today.year()) {
-                                        this.log.debug(`[carddav] found birthday: ${name} (${carddavBirthday.year()})`);
-
-                                        if (this.addBirthday(name, carddavBirthday)) {
-                                            addedBirthdays++;
-                                        }
-                                    } else {
-                                        this.log.warn(`[carddav] invalid birthdate: ${name}`);
-                                    }
-                                } else if (name) {
-                                    this.log.debug(`[carddav] missing birthdate in event: ${name}`);
-                                }
-                            }
-                        }
+    /**
+     * Collects and merges the birthdays of all sources
+     *
+     * @param {moment.Moment} today reference date (start of day)
+     */
+    async collectBirthdays(today) {
+        this.today = today;
+        this.birthdays = [];
+        this.birthdaysSignificant = [];
+        this.memorials = [];
+        this.namedays = [];
+        this.collectedBirthdays = [];
+        this.conflicts = [];
+        this.sourceStatus = {};
+        this.personIds = new Set();
+
+        const data = await Promise.all([this.addBySettings(), this.addByFiles(), this.addByCalendar(), this.addByCardDav()]);
+        this.log.debug(`[refresh] everything collected for ${today.format('YYYY-MM-DD')}: ${JSON.stringify(data)}`);
+
+        const addedBirthdaysSum = data.reduce((pv, cv) => pv + cv, 0);
+        if (addedBirthdaysSum === 0) {
+            this.log.error(`No birthdays found in any configured source - please check configuration and retry`);
+        }
 
-                        this.log.debug(`[carddav] done`);
-                        resolve(addedBirthdays);
-                    })
-                    .catch((error) => {
-                        this.log.warn(`[carddav] ${error}`);
-                        this.log.debug(`[carddav] done with error`);
-                        resolve(0);
-                    });
-            } else {
-                this.log.debug(`[carddav] done - url not configured - skipped`);
-                resolve(0);
-            }
-        });
+        this.mergeBirthdays();
+        this.createNamedays();
     }
 
-    addBirthday(name, birthday) {
-        const id = String(name+"_"+birthday.year()+birthday.month()+birthday.day());
-        const birthdaysSameName = this.birthdays.find((b) => b.id === id);
-        if (birthdaysSameName) {
-            this.log.warn(`[addBirthday] birthday with name "${name}" has already been added (${birthdaysSameName.dateFormat}) - skipping`);
-            return false;
+    /**
+     * @returns {moment.Moment} configured reference date (for testing) or today
+     */
+    getReferenceDate() {
+        try {
+            const referenceDate = parseReferenceDate(this.config.referenceDate);
+            if (referenceDate) {
+                return referenceDate;
+            }
+        } catch (err) {
+            this.log.warn(`[refresh] ${err.message} - using today`);
         }
 
-        const nextBirthday = birthday.clone();
-        nextBirthday.add(this.today.year() - birthday.year(), 'y');
+        return moment({ hour: 0, minute: 0 });
+    }
 
-        // If birthday was already this year, add one year to the nextBirthday
-        if (this.today.isAfter(nextBirthday) && !this.today.isSame(nextBirthday)) {
-            nextBirthday.add(1, 'y');
+    /**
+     * Computes all states for another reference date without writing them - the birthdays of the last refresh are restored afterwards
+     *
+     * @param {{ date?: string, native?: boolean }} message
+     */
+    async previewReferenceDate(message) {
+        const today = parseReferenceDate(message.date);
+        if (!today) {
+            throw new Error(`date is required (YYYY-MM-DD)`);
         }
 
-        const nextAge = nextBirthday.diff(birthday, 'years');
+        // Only one refresh or preview at a time (and no reminders based on the preview)
+        while (this.refreshPromise || this.previewPromise || this.remindersPromise) {
+            await Promise.allSettled([this.refreshPromise, this.previewPromise, this.remindersPromise]);
+        }
 
-        this.birthdays.push({
-            id: id,
-            name: name,
-            birthYear: birthday.year(),
-            dateFormat: this.formatDate(nextBirthday.toDate()),
-            age: nextAge,
-            currentAgeText: this.getCurrentAgeAsText(birthday),
-            daysLeft: nextBirthday.diff(this.today, 'days'),
-            _birthday: birthday,
-            _nextBirthday: nextBirthday,
+        this.previewPromise = this.createPreview(today).finally(() => {
+            this.previewPromise = null;
         });
 
-        const nextSignificantBirthday = nextBirthday.clone();
-        const nextSignficantAge = Math.ceil(nextAge / 10) * 10;
+        const { count, states } = await this.previewPromise;
+        const date = today.format('YYYY-MM-DD');
 
-        if (nextSignficantAge > nextAge) {
-            nextSignificantBirthday.add(nextSignficantAge - nextAge, 'y');
+        // Admin: JSON states are only part of the message response
+        if (message.native) {
+            return { native: { _previewResult: formatPreviewText(date, count, states) } };
         }
 
-        this.birthdaysSignificant.push({
-            name: name,
-            birthYear: birthday.year(),
-            dateFormat: this.formatDate(nextSignificantBirthday.toDate()),
-            age: nextSignificantBirthday.diff(birthday, 'years'),
-            daysLeft: nextSignificantBirthday.diff(this.today, 'days'),
-            _birthday: birthday,
-            _nextBirthday: nextSignificantBirthday,
-        });
-
-        return true;
+        return { result: { date, count, states } };
     }
 
-    async fillStates() {
-        // Sort by daysLeft
-        this.birthdays.sort((a, b) => (a.daysLeft > b.daysLeft ? 1 : -1));
-        this.birthdaysSignificant.sort((a, b) => (a.daysLeft > b.daysLeft ? 1 : -1));
+    /**
+     * @param {moment.Moment} today
+     * @returns {Promise<{ count: number, states: Record<string, ioBroker.StateValue> }>}
+     */
+    async createPreview(today) {
+        const { birthdays, birthdaysSignificant, memorials, namedays, collectedBirthdays, conflicts, sourceStatus, personIds } = this;
+        const currentToday = this.today;
 
-        this.log.debug(`[fillStates] birthdays: ${JSON.stringify(this.birthdays)}`);
-        await this.setStateAsync('summary.json', { val: JSON.stringify(this.birthdays), ack: true });
-        await this.setStateAsync('summary.count', { val: this.birthdays.length, ack: true });
+        this.previewMode = true;
 
-        this.log.debug(`[fillStates] birthdays significant: ${JSON.stringify(this.birthdaysSignificant)}`);
-        await this.setStateAsync('summary.jsonSignificant', { val: JSON.stringify(this.birthdaysSignificant), ack: true });
+        try {
+            await this.collectBirthdays(today);
+            await this.fillStates();
+
+            return { count: this.birthdays.length, states: Object.fromEntries(this.resultStates) };
+        } finally {
+            this.previewMode = false;
+            this.today = currentToday;
+            Object.assign(this, { birthdays, birthdaysSignificant, memorials, namedays, collectedBirthdays, conflicts, sourceStatus, personIds });
+        }
+    }
 
-        const keepBirthdays = [];
-        const allBirthdays = (await this.getChannelsOfAsync('month'))
-            .map((obj) => {
-                return this.removeNamespace(obj._id);
-            })
-            .filter((id) => new RegExp('month.[0-9]{2}..+', 'g').test(id));
+    /**
+     * Days left and ages change at midnight - refresh everything once a day
+     */
+    scheduleRefresh() {
+        if (this.refreshTimeout) {
+            clearTimeout(this.refreshTimeout);
+        }
 
-        for (const birthdayObj of this.birthdays) {
-            const cleanName = this.cleanNamespace(birthdayObj.id);
-            const monthPath = this.getMonthPath(birthdayObj._birthday.month() + 1) + '.' + cleanName;
+        const nextRefresh = moment().add(1, 'day').startOf('day').add(10, 'seconds');
+        this.log.debug(`[scheduleRefresh] next refresh at ${nextRefresh.toISOString()}`);
 
-            keepBirthdays.push(monthPath);
+        this.refreshTimeout = setTimeout(async () => {
+            this.refreshTimeout = null;
 
-            if (!allBirthdays.includes(monthPath)) {
-                this.log.debug(`birthday added: ${monthPath}`);
-            }
+            await this.refresh();
+            this.scheduleRefresh();
+        }, nextRefresh.diff(moment()));
+    }
 
-            await this.fillPathWithBirthday(monthPath, birthdayObj);
+    scheduleReminders() {
+        if (this.remindersTimeout) {
+            clearTimeout(this.remindersTimeout);
         }
 
-        // Delete non existent birthdays
-        for (const birthdayId of allBirthdays) {
-            if (!keepBirthdays.includes(birthdayId)) {
-                await this.delObjectAsync(birthdayId, { recursive: true });
-                this.log.debug(`[fillStates] birthday deleted: ${birthdayId}`);
-            }
+        if (this.getReminders().length === 0 || this.config.referenceDate) {
+            return;
         }
 
-        // next birthdays
-        if (this.birthdays.length > 0) {
-            const nextBirthdayDaysLeft = this.birthdays[0].daysLeft;
+        const nextReminders = moment().startOf('day').add(this.getRemindersHour(), 'hours');
+        if (!nextReminders.isAfter(moment())) {
+            nextReminders.add(1, 'day');
+        }
 
-            await this.fillAfter('next', this.birthdays, nextBirthdayDaysLeft);
+        this.log.debug(`[scheduleReminders] next reminders at ${nextReminders.toISOString()}`);
 
-            const nextAfterBirthdaysList = this.birthdays.filter((birthday) => birthday.daysLeft > nextBirthdayDaysLeft);
-            if (nextAfterBirthdaysList.length > 0) {
-                const nextAfterBirthdaysLeft = nextAfterBirthdaysList[0].daysLeft;
+        this.remindersTimeout = setTimeout(async () => {
+            this.remindersTimeout = null;
 
-                await this.fillAfter('nextAfter', this.birthdays, nextAfterBirthdaysLeft);
+            // A running preview replaces the birthdays temporarily
+            while (this.refreshPromise || this.previewPromise) {
+                await Promise.allSettled([this.refreshPromise, this.previewPromise]);
             }
-        }
 
-        // next significant birthdays
-        if (this.birthdaysSignificant.length > 0) {
-            const nextBirthdaySignificantDaysLeft = this.birthdaysSignificant[0].daysLeft;
+            await this.runReminders();
+            this.scheduleReminders();
+        }, nextReminders.diff(moment()));
+    }
 
-            await this.fillAfter('nextSignificant', this.birthdaysSignificant, nextBirthdaySignificantDaysLeft);
-        }
+    /**
+     * Additional yearly event types (besides birthdays) - e.g. wedding anniversaries
+     *
+     * @returns {Array<{ id: string, name: string, icalTag: string, nextTextTemplate: string }>}
+     */
+    getEventTypes() {
+        /** @type {Array<{ type: string, name?: string, icalTag?: string, nextTextTemplate?: string }>} */
+        const configEventTypes = Array.isArray(this.config.eventTypes) ? this.config.eventTypes : [];
+
+        return configEventTypes
+            .filter((eventType) => eventType.type && this.cleanNamespace(eventType.type) !== 'birthday')
+            .map((eventType) => ({
+                id: this.cleanNamespace(eventType.type),
+                name: eventType.name || eventType.type,
+                icalTag: eventType.icalTag ? String(eventType.icalTag).trim() : '',
+                nextTextTemplate: eventType.nextTextTemplate || '{name} ({age})',
+            }));
+    }
 
-        // fill month json
-        for (let m = 1; m <= 12; m++) {
-            const monthlyBirthdays = this.birthdays.filter((birthday) => birthday._birthday.month() + 1 === m); // get all birthdays with same month
-            await this.setStateAsync(`${this.getMonthPath(m)}.json`, { val: JSON.stringify(monthlyBirthdays), ack: true });
-            await this.setStateChangedAsync(`${this.getMonthPath(m)}.count`, { val: monthlyBirthdays.length, ack: true });
-        }
+    getEventType(type) {
+        return this.getEventTypes().find((eventType) => eventType.id === this.cleanNamespace(type));
     }
 
-    async fillAfter(path, birthdays, daysLeft) {
-        this.log.debug(`[fillAfter] filling ${path} with ${daysLeft} days left`);
+    async createEventTypeObjects() {
+        const eventTypes = this.getEventTypes();
 
-        const nextBirthdays = birthdays.filter((birthday) => birthday.daysLeft == daysLeft); // get all birthdays with same days left
+        for (const eventType of eventTypes) {
+            await this.extendObjectAsync(`events.${eventType.id}`, {
+                type: 'channel',
+                common: {
+                    name: eventType.name,
+                },
+                native: {},
+            });
 
-        const nextBirthdaysText = nextBirthdays.map((birthday) => {
-            return this.config.nextTextTemplate.replace('%n', birthday.name).replace('%a', birthday.age).trim();
-        });
+            await this.setObjectNotExistsAsync(`events.${eventType.id}.count`, {
+                type: 'state',
+                common: {
+                    name: {
+                        en: 'Number of events',
+                        de: 'Anzahl der Ereignisse',
+                        ru: 'Количество событий',
+                        pt: 'Número de eventos',
+                        nl: 'Aantal gebeurtenissen',
+                        fr: `Nombre d'événements`,
+                        it: 'Numero di eventi',
+                        es: 'Número de eventos',
+                        pl: 'Liczba wydarzeń',
+                        uk: 'Кількість подій',
+                        'zh-cn': '事件数量',
+                    },
+                    type: 'number',
+                    role: 'value',
+                    read: true,
+                    write: false,
+                },
+                native: {},
+            });
 
-        await this.setStateAsync(`${path}.json`, { val: JSON.stringify(nextBirthdays), ack: true });
-        await this.setStateChangedAsync(`${path}.daysLeft`, { val: daysLeft, ack: true });
-        await this.setStateChangedAsync(`${path}.text`, { val: nextBirthdaysText.join(this.config.nextSeparator), ack: true });
+            await this.setObjectNotExistsAsync(`events.${eventType.id}.json`, {
+                type: 'state',
+                common: {
+                    name: {
+                        en: 'Events JSON',
+                        de: 'Ereignisse JSON',
+                        ru: 'События JSON',
+                        pt: 'Eventos JSON',
+                        nl: 'Gebeurtenissen JSON',
+                        fr: 'Événements JSON',
+                        it: 'Eventi JSON',
+                        es: 'Eventos JSON',
+                        pl: 'Wydarzenia JSON',
+                        uk: 'Події JSON',
+                        'zh-cn': '事件 JSON',
+                    },
+                    type: 'string',
+                    role: 'json',
+                    read: true,
+                    write: false,
+                },
+                native: {},
+            });
 
-        const birthdayDate = moment().set({ hour: 0, minute: 0, second: 0 }).add(daysLeft, 'days');
+            await this.createNextObjects(`events.${eventType.id}.next`, {
+                en: 'Next events',
+                de: 'Nächste Ereignisse',
+                ru: 'Следующие события',
+                pt: 'Próximos eventos',
+                nl: 'Volgende gebeurtenissen',
+                fr: 'Prochains événements',
+                it: 'Prossimi eventi',
+                es: 'Próximos eventos',
+                pl: 'Następne wydarzenia',
+                uk: 'Наступні події',
+                'zh-cn': '下一个事件',
+            });
 
-        await this.setStateChangedAsync(`${path}.date`, { val: birthdayDate.valueOf(), ack: true });
-        await this.setStateChangedAsync(`${path}.dateFormat`, { val: this.formatDate(birthdayDate.toDate()), ack: true });
-    }
+            await this.createNextObjects(`events.${eventType.id}.nextAfter`, {
+                en: 'After next events',
+                de: 'Übernächste Ereignisse',
+                ru: 'События после следующих',
+                pt: 'Eventos após os próximos',
+                nl: 'Gebeurtenissen na de volgende',
+                fr: 'Événements après les prochains',
+                it: 'Eventi dopo i prossimi',
+                es: 'Eventos después de los próximos',
+                pl: 'Wydarzenia po następnych',
+                uk: 'Події після наступних',
+                'zh-cn': '下一个事件之后',
+            });
+        }
 
-    async fillPathWithBirthday(path, birthdayObj) {
-        this.log.debug(`[fillPathWithBirthday] path: "${path}", birthday: ${JSON.stringify(birthdayObj)}`);
+        // Delete removed event types
+        const eventTypeIds = eventTypes.map((eventType) => `events.${eventType.id}`);
+        const allEventTypes = (await this.getChannelsOfAsync('events')).map((obj) => this.removeNamespace(obj._id)).filter((id) => /^events\.[^.]+$/.test(id));
 
-        const birthday = birthdayObj._birthday;
+        for (const eventTypeId of allEventTypes) {
+            if (!eventTypeIds.includes(eventTypeId)) {
+                await this.delObjectAsync(eventTypeId, { recursive: true });
+                this.log.debug(`[createEventTypeObjects] event type deleted: ${eventTypeId}`);
+            }
+        }
+    }
 
-        await this.setObjectNotExistsAsync(path, {
-            type: 'channel',
-            common: {
-                name: birthdayObj.name,
-            },
-            native: {},
-        });
+    /**
+     * Time windows of upcoming birthdays (today, tomorrow and configured number of days)
+     *
+     * @returns {import('./lib/windows').Window[]}
+     */
+    getWindows() {
+        return getWindows(this.config.windows);
+    }
 
-        await this.setObjectNotExistsAsync(`${path}.name`, {
-            type: 'state',
-            common: {
-                name: {
-                    en: 'Name',
-                    de: 'Name',
-                    ru: 'Имя',
-                    pt: 'Nome',
-                    nl: 'Naam',
-                    fr: 'Nom',
-                    it: 'Nome',
-                    es: 'Nombre',
-                    pl: 'Nazwa',
-                    uk: "Ім'я",
-                    'zh-cn': '姓名',
-                },
-                type: 'string',
-                role: 'text',
-                read: true,
-                write: false,
-            },
-            native: {},
-        });
-        await this.setStateChangedAsync(`${path}.name`, { val: birthdayObj.name, ack: true });
+    async createWindowObjects() {
+        const windows = this.getWindows();
 
-        await this.setObjectNotExistsAsync(`${path}.age`, {
-            type: 'state',
-            common: {
-                name: {
-                    en: 'Age',
-                    de: 'Alter',
-                    ru: 'Возраст',
-                    pt: 'Era',
-                    nl: 'Leeftijd',
-                    fr: 'Âge',
-                    it: 'Età',
-                    es: 'La edad',
-                    pl: 'Wiek',
-                    uk: 'Вік',
-                    'zh-cn': '年龄',
+        for (const window of windows) {
+            await this.extendObjectAsync(window.id, {
+                type: 'channel',
+                common: {
+                    name: window.name,
                 },
-                type: 'number',
-                role: 'value',
-                read: true,
-                write: false,
-            },
-            native: {},
-        });
-        await this.setStateChangedAsync(`${path}.age`, { val: birthdayObj.age, ack: true });
+                native: {},
+            });
 
-        await this.setObjectNotExistsAsync(`${path}.currentAge`, {
-            type: 'state',
-            common: {
-                name: {
-                    en: 'Current age as text',
-                    de: 'Aktuelles Alter als Text',
-                    ru: 'Текущий возраст как текст',
-                    pt: 'Idade atual como texto',
-                    nl: 'Current leeftijd als tekst',
-                    fr: 'Âge actuel du texte',
-                    it: 'Età attuale come testo',
-                    es: 'Edad actual como texto',
-                    pl: 'Aktualny wiek jako tekst',
-                    uk: 'Поточний вік як текст',
-                    'zh-cn': '目前的案文',
+            await this.setObjectNotExistsAsync(`${window.id}.json`, {
+                type: 'state',
+                common: {
+                    name: {
+                        en: 'Birthdays JSON',
+                        de: 'Geburtstage JSON',
+                        ru: 'Дни рождения JSON',
+                        pt: 'Aniversários JSON',
+                        nl: 'Verjaardagen JSON',
+                        fr: 'Anniversaires JSON',
+                        it: 'Compleanni JSON',
+                        es: 'Cumpleaños JSON',
+                        pl: 'Urodziny JSON',
+                        uk: 'Дні народження JSON',
+                        'zh-cn': '生日 JSON',
+                    },
+                    type: 'string',
+                    role: 'json',
+                    read: true,
+                    write: false,
                 },
-                type: 'string',
-                role: 'text',
-                read: true,
-                write: false,
+                native: {},
+            });
+
+            await this.setObjectNotExistsAsync(`${window.id}.text`, {
+                type: 'state',
+                common: {
+                    name: {
+                        en: 'Text',
+                        de: 'Text',
+                        ru: 'Текст',
+                        pt: 'Texto',
+                        nl: 'Tekst',
+                        fr: 'Texte',
+                        it: 'Testo',
+                        es: 'Texto',
+                        pl: 'Tekst',
+                        uk: 'Текст',
+                        'zh-cn': '文本',
+                    },
+                    type: 'string',
+                    role: 'text',
+                    read: true,
+                    write: false,
+                },
+                native: {},
+            });
+
+            await this.setObjectNotExistsAsync(`${window.id}.count`, {
+                type: 'state',
+                common: {
+                    name: {
+                        en: 'Number of birthdays',
+                        de: 'Anzahl der Geburtstage',
+                        ru: 'Количество дней рождения',
+                        pt: 'Número de aniversários',
+                        nl: 'Aantal verjaardagen',
+                        fr: `Nombre d'anniversaires`,
+                        it: 'Numero di compleanni',
+                        es: 'Número de cumpleaños',
+                        pl: 'Liczba urodzin',
+                        uk: 'Кількість днів народження',
+                        'zh-cn': '生日数量',
+                    },
+                    type: 'number',
+                    role: 'value',
+                    read: true,
+                    write: false,
+                },
+                native: {},
+            });
+
+            await this.setObjectNotExistsAsync(`${window.id}.active`, {
+                type: 'state',
+                common: {
+                    name: {
+                        en: 'Birthdays in time window',
+                        de: 'Geburtstage im Zeitraum',
+                        ru: 'Дни рождения в периоде',
+                        pt: 'Aniversários no período',
+                        nl: 'Verjaardagen in periode',
+                        fr: 'Anniversaires dans la période',
+                        it: 'Compleanni nel periodo',
+                        es: 'Cumpleaños en el período',
+                        pl: 'Urodziny w okresie',
+                        uk: 'Дні народження в періоді',
+                        'zh-cn': '时间段内的生日',
+                    },
+                    type: 'boolean',
+                    role: 'indicator',
+                    read: true,
+                    write: false,
+                    def: false,
+                },
+                native: {},
+            });
+        }
+
+        // Delete removed windows
+        const windowIds = windows.map((window) => window.id);
+        const allWindows = await this.getObjectViewAsync('system', 'channel', {
+            startkey: `${this.namespace}.next`,
+            endkey: `${this.namespace}.next\u9999`,
+        });
+
+        for (const row of allWindows.rows) {
+            const id = this.removeNamespace(row.id);
+
+            if (/^next\d+Days$/.test(id) && !windowIds.includes(id)) {
+                await this.delObjectAsync(id, { recursive: true });
+                this.log.debug(`[createWindowObjects] window deleted: ${id}`);
+            }
+        }
+    }
+
+    /**
+     * Creates a channel with the same states as "next" (json, text, daysLeft, date and dateFormat)
+     *
+     * @param {string} path
+     * @param {ioBroker.StringOrTranslated} name
+     */
+    async createNextObjects(path, name) {
+        await this.setObjectNotExistsAsync(path, {
+            type: 'channel',
+            common: {
+                name,
             },
             native: {},
         });
-        await this.setStateChangedAsync(`${path}.currentAge`, { val: birthdayObj.currentAgeText, ack: true });
 
-        await this.setObjectNotExistsAsync(`${path}.day`, {
+        await this.setObjectNotExistsAsync(`${path}.json`, {
             type: 'state',
             common: {
                 name: {
-                    en: 'Day of month',
-                    de: 'Monatstag',
-                    ru: 'День месяца',
-                    pt: 'Dia do mês',
-                    nl: 'Dag van de maand',
-                    fr: 'Jour du mois',
-                    it: 'Giorno del mese',
-                    es: 'Dia del mes',
-                    pl: 'Dzień miesiąca',
-                    uk: 'День місяця',
-                    'zh-cn': '每月的第几天',
+                    en: 'Events JSON',
+                    de: 'Ereignisse JSON',
+                    ru: 'События JSON',
+                    pt: 'Eventos JSON',
+                    nl: 'Gebeurtenissen JSON',
+                    fr: 'Événements JSON',
+                    it: 'Eventi JSON',
+                    es: 'Eventos JSON',
+                    pl: 'Wydarzenia JSON',
+                    uk: 'Події JSON',
+                    'zh-cn': '事件 JSON',
                 },
-                type: 'number',
-                role: 'value',
+                type: 'string',
+                role: 'json',
                 read: true,
                 write: false,
             },
             native: {},
         });
-        await this.setStateChangedAsync(`${path}.day`, { val: birthday.date(), ack: true });
 
-        await this.setObjectNotExistsAsync(`${path}.year`, {
+        await this.setObjectNotExistsAsync(`${path}.text`, {
             type: 'state',
             common: {
                 name: {
-                    en: 'Birth year',
-                    de: 'Geburtsjahr',
-                    ru: 'Год рождения',
-                    pt: 'Ano de Nascimento',
-                    nl: 'Geboortejaar',
-                    fr: 'Année de naissance',
-                    it: 'Anno di nascita',
-                    es: 'Año de nacimiento',
-                    pl: 'Rok urodzenia',
-                    uk: 'Рік народження',
-                    'zh-cn': '出生年',
+                    en: 'Text',
+                    de: 'Text',
+                    ru: 'Текст',
+                    pt: 'Texto',
+                    nl: 'Tekst',
+                    fr: 'Texte',
+                    it: 'Testo',
+                    es: 'Texto',
+                    pl: 'Tekst',
+                    uk: 'Текст',
+                    'zh-cn': '文本',
                 },
-                type: 'number',
-                role: 'value',
+                type: 'string',
+                role: 'text',
                 read: true,
                 write: false,
             },
             native: {},
         });
-        await this.setStateChangedAsync(`${path}.year`, { val: birthdayObj.birthYear, ack: true });
 
         await this.setObjectNotExistsAsync(`${path}.daysLeft`, {
             type: 'state',
@@ -649,58 +774,2776 @@ class Birthdays extends utils.Adapter {
             },
             native: {},
         });
-        await this.setStateChangedAsync(`${path}.daysLeft`, { val: birthdayObj.daysLeft, ack: true });
-    }
 
-    getMonthPath(m) {
-        return 'month.' + new String(m).padStart(2, '0');
+        await this.setObjectNotExistsAsync(`${path}.date`, {
+            type: 'state',
+            common: {
+                name: {
+                    en: 'Date',
+                    de: 'Datum',
+                    ru: 'Дата',
+                    pt: 'Data',
+                    nl: 'Datum',
+                    fr: 'Date',
+                    it: 'Data',
+                    es: 'Fecha',
+                    pl: 'Data',
+                    uk: 'Дата',
+                    'zh-cn': '日期',
+                },
+                type: 'number',
+                role: 'date',
+                read: true,
+                write: false,
+            },
+            native: {},
+        });
+
+        await this.setObjectNotExistsAsync(`${path}.dateFormat`, {
+            type: 'state',
+            common: {
+                name: {
+                    en: 'Date formatted',
+                    de: 'Datum formatiert',
+                    ru: 'Дата в формате',
+                    pt: 'Data formatada',
+                    nl: 'Datum geformatteerd',
+                    fr: 'Date formatée',
+                    it: 'Data formattata',
+                    es: 'Fecha formateada',
+                    pl: 'Data sformatowana',
+                    uk: 'Дата форматована',
+                    'zh-cn': '日期格式',
+                },
+                type: 'string',
+                role: 'text',
+                read: true,
+                write: false,
+            },
+            native: {},
+        });
     }
 
-    getMonthTranslation(moment, locale) {
-        const momentCopy = moment.clone();
-        momentCopy.locale(locale);
+    async addBySettings() {
+        return new Promise((resolve) => {
+            const birthdays = this.config.birthdays;
+            const source = this.startSource('settings', 'settings');
+            let addedBirthdays = 0;
 
-        return momentCopy.format('MMMM');
+            if (birthdays && Array.isArray(birthdays)) {
+                for (const b in birthdays) {
+                    const birthday = birthdays[b];
+
+                    if (birthday.name) {
+                        try {
+                            const { date, yearKnown, type, death } = this.parseSettingsBirthday(birthday);
+
+                            this.log.debug(`[settings] found ${type}: ${birthday.name} (${yearKnown ? birthday.year : 'unknown year'})`);
+
+                            const uid = birthday.id ? String(birthday.id).trim() : undefined;
+
+                            if (this.addBirthday(birthday.name, date, source, { yearKnown, type, uid, death, groups: parseGroups(birthday.group) })) {
+                                addedBirthdays++;
+                            }
+                        } catch (err) {
+                            this.log.warn(`[settings] ${err.message}`);
+                            this.skipEntry(source, birthday.name, err.message);
+                        }
+                    }
+                }
+            }
+
+            this.finishSource(source);
+            this.log.debug(`[settings] done`);
+            resolve(addedBirthdays);
+        });
     }
 
-    getCurrentAgeAsText(birthday) {
-        const clonedBirthday = birthday.clone();
+    /**
+     * Validates a row of the settings table
+     *
+     * @param {{ name?: string, id?: string, type?: string, day?: number, month?: number, year?: number | null, deathDate?: string }} birthday
+     * @returns {{ date: moment.Moment, yearKnown: boolean, type: string, death: import('./lib/memorial').Death | null }}
+     */
+    parseSettingsBirthday(birthday) {
+        if (!birthday.name) {
+            throw new Error(`name is missing`);
+        }
+
+        const type = birthday.type ? this.cleanNamespace(birthday.type) : 'birthday';
+        if (type !== 'birthday' && !this.getEventType(type)) {
+            throw new Error(`unknown event type "${birthday.type}" of ${birthday.name} - please add it to the event types`);
+        }
+
+        const yearKnown = !!birthday.year;
+        const date = moment({ year: yearKnown ? Number(birthday.year) : UNKNOWN_YEAR, month: Number(birthday.month) - 1, day: birthday.day });
 
-        const years = this.today.diff(clonedBirthday, 'year');
-        clonedBirthday.add(years, 'years');
+        if (!date.isValid() || date.year() > this.today.year()) {
+            throw new Error(`invalid birthday date: ${birthday.name}`);
+        }
 
-        const months = this.today.diff(clonedBirthday, 'months');
-        clonedBirthday.add(months, 'months');
+        const death = parseDeathDate(birthday.deathDate);
+        if (death && type !== 'birthday') {
+            throw new Error(`date of death is only supported for birthdays: ${birthday.name}`);
+        }
 
-        const days = this.today.diff(clonedBirthday, 'days');
+        const deathProblem = death ? getDeathProblem(death, date, yearKnown, this.today) : null;
+        if (deathProblem) {
+            throw new Error(`${deathProblem}: ${birthday.name}`);
+        }
 
-        return String(this.config.currentAgeTemplate).replace('%y', years).replace('%m', months).replace('%d', days);
+        return { date, yearKnown, type, death };
     }
 
-    cleanNamespace(id) {
-        return id
-            .trim()
-            .replace(/\s/g, '_') // Replace whitespaces with underscores
-            .replace(/[^\p{Ll}\p{Lu}\p{Nd}]+/gu, '_') // Replace not allowed chars with underscore
-            .replace(/[_]+$/g, '') // Remove underscores end
-            .replace(/^[_]+/g, '') // Remove underscores beginning
-            .replace(/_+/g, '_') // Replace multiple underscores with one
-            .toLowerCase()
-            .replace(/_([a-z])/g, (m, w) => {
-                return w.toUpperCase();
+    getIcalCalendars() {
+        /** @type {Array<{ active?: boolean, label?: string, url: string, user?: string, password?: string, ignoreCertErrors?: boolean, group?: string }>} */
+        const configCalendars = Array.isArray(this.config.icalCalendars) ? this.config.icalCalendars : [];
+        // Passwords of the table are encrypted by admin (legacy password is decrypted by js-controller)
+        const calendars = configCalendars
+            .filter((calendar) => calendar.active !== false && calendar.url)
+            .map((calendar) => ({ ...calendar, password: calendar.password ? this.decrypt(calendar.password) : '' }));
+
+        // Single calendar configuration of previous versions
+        if (this.config.icalUrl) {
+            calendars.unshift({
+                label: 'iCal',
+                url: this.config.icalUrl,
+                user: this.config.icalUser,
+                password: this.config.icalPassword,
+                ignoreCertErrors: this.config.icalUrlIgnoreCertErrors,
             });
+        }
+
+        return calendars.map((calendar, index) => ({
+            ...calendar,
+            label: calendar.label ? String(calendar.label).trim() : `iCal ${index + 1}`,
+        }));
     }
 
-    removeNamespace(id) {
-        const re = new RegExp(this.namespace + '*\\.', 'g');
-        return id.replace(re, '');
+    async addByCalendar() {
+        const calendars = this.getIcalCalendars();
+
+        if (calendars.length === 0) {
+            this.log.debug(`[ical] done - no calendar configured - skipped`);
+            return 0;
+        }
+
+        const data = await Promise.all(
+            calendars.map(async (calendar) => {
+                const source = this.startSource('ical', calendar.label, calendar.group);
+                const addedBirthdays = await this.addByCalendarSource(calendar, source);
+
+                this.finishSource(source);
+                return addedBirthdays;
+            }),
+        );
+        return data.reduce((pv, cv) => pv + cv, 0);
+    }
+
+    async addByCalendarSource(calendar, source) {
+        return new Promise((resolve) => {
+            const iCalUrl = calendar.url;
+
+            this.log.debug(`[ical] ${source.label} - url/path: ${iCalUrl}`);
+
+            if (iCalUrl.startsWith('http')) {
+                this.log.debug(`[ical] ${source.label} - looks like an http url, performing get request`);
+
+                const httpsAgentOptions = {};
+
+                if (calendar.ignoreCertErrors) {
+                    this.log.debug(`[ical] ${source.label} - performing https requests with rejectUnauthorized = false`);
+                    httpsAgentOptions.rejectUnauthorized = false;
+                }
+
+                axios({
+                    method: 'get',
+                    url: iCalUrl,
+                    timeout: 4500,
+                    httpsAgent: new https.Agent(httpsAgentOptions),
+                    auth: {
+                        username: calendar.user,
+                        password: calendar.password,
+                    },
+                })
+                    .then(async (response) => {
+                        this.log.debug(`[ical] ${source.label} - http(s) request finished with status: ${response.status}`);
+                        let addedBirthdays = 0;
+
+                        if (response.data) {
+                            this.log.silly(`[ical] ${source.label} - received file contents: ${response.data}`);
+
+                            await this.writeSourceCache(source, iCalUrl, response.data);
+                            addedBirthdays = await this.addByIcalData(response.data, source);
+                        }
+
+                        resolve(addedBirthdays);
+                    })
+                    .catch(async (error) => {
+                        this.log.warn(`[ical] ${source.label} - ${error}`);
+                        this.setSourceError(source, error);
+
+                        const cache = await this.readSourceCache(source, iCalUrl);
+                        if (cache) {
+                            resolve(await this.addByIcalData(cache.data, { ...source, stale: true }));
+                        } else {
+                            this.log.debug(`[ical] ${source.label} - done with error`);
+                            resolve(0);
+                        }
+                    });
+            } else {
+                try {
+                    this.log.debug(`[ical] ${source.label} - try to load local file`);
+
+                    // local file
+                    if (fs.existsSync(iCalUrl)) {
+                        const data = fs.readFileSync(iCalUrl).toString();
+                        this.log.silly(`[ical] ${source.label} - loaded file contents: ${data}`);
+
+                        this.addByIcalData(data, source).then((addedBirthdays) => {
+                            resolve(addedBirthdays);
+                        });
+                    } else {
+                        this.log.error(`[ical] ${source.label} - local file "${iCalUrl}" doesn't exists`);
+                        this.setSourceError(source, `local file "${iCalUrl}" doesn't exists`);
+                        resolve(0);
+                    }
+                } catch (err) {
+                    this.log.error(`[ical] ${source.label} - error when loading local file "${iCalUrl}": ${err}`);
+                    this.setSourceError(source, err);
+                    resolve(0);
+                }
+            }
+        });
+    }
+
+    async addByIcalData(dataStr, source) {
+        return new Promise((resolve) => {
+            let addedBirthdays = 0;
+
+            try {
+                const yearStrategies = this.getIcalYearStrategies(source);
+                const nameCleanRegex = this.getIcalNameCleanRegex(source);
+
+                // Parse ical
+                const icalData = ICAL.parse(dataStr);
+                const comp = new ICAL.Component(icalData);
+                const vevents = comp.getAllSubcomponents('vevent');
+                const strict = this.config.icalMode === 'strict';
+
+                this.log.debug(`[ical] ${source.label} - found ${vevents.length} events`);
+
+                for (const event of getMasterEvents(vevents)) {
+                    if (event.summary !== undefined && event.startDate) {
+                        const { type, name: eventTypeName } = this.getIcalEventType(event);
+                        const { name: eventName, death } =
+                            type === 'birthday' ? extractMemorialMarker(eventTypeName, getCategories(event.component), this.config.icalMemorialTag) : { name: eventTypeName, death: null };
+                        const name = cleanName(eventName, nameCleanRegex) || eventName;
+                        const { year: birthYear, strategy } = extractBirthYear(event, yearStrategies, this.today.year());
+                        const yearKnown = !isNaN(birthYear);
+
+                        const recurrence = getRecurrence(event, { year: this.today.year(), month: this.today.month() + 1, day: this.today.date() });
+
+                        this.log.debug(`[ical] ${source.label} - processing event: ${JSON.stringify(event)} - ${JSON.stringify(recurrence)}`);
+
+                        if (name) {
+                            if (!yearKnown) {
+                                this.log.debug(
+                                    `[ical] ${source.label} - no birth year found: ${name}${event.description ? ` (description "${event.description}")` : ''} - adding birthday without year`,
+                                );
+                            } else {
+                                this.log.debug(`[ical] ${source.label} - found birth year of ${name} by strategy "${strategy}": ${birthYear}`);
+                            }
+
+                            // DATE values are floating - toJSDate() would depend on the timezone of the host
+                            const startDate = getFloatingDate(event.startDate);
+                            const calendarBirthday = moment({ year: yearKnown ? birthYear : UNKNOWN_YEAR, month: startDate.month - 1, day: startDate.day });
+
+                            if (calendarBirthday.isValid() && calendarBirthday.year() <= this.today.year()) {
+                                this.log.debug(`[ical] ${source.label} - found ${type}: ${name} (${yearKnown ? birthYear : 'unknown year'})`);
+
+                                const problem = this.getIcalEventProblem(recurrence);
+
+                                if (problem && strict) {
+                                    this.log.warn(`[ical] ${source.label} - birthday event of ${name} skipped: ${problem}`);
+                                    this.skipEntry(source, name, `${problem} - skipped`);
+                                    continue;
+                                } else if (problem) {
+                                    this.log.warn(`[ical] ${source.label} - birthday event of ${name}: ${problem} - enable strict mode to skip such events`);
+                                    this.skipEntry(source, name, problem);
+                                }
+
+                                if (
+                                    this.addBirthday(name, calendarBirthday, source, {
+                                        yearKnown,
+                                        type,
+                                        uid: event.uid,
+                                        // Only yearly rules are expanded (other events keep the yearly date in lenient mode)
+                                        occurrences: recurrence.occurrences,
+                                        groups: getCategories(event.component),
+                                        death,
+                                    })
+                                ) {
+                                    addedBirthdays++;
+                                }
+                            } else {
+                                this.log.warn(`[ical] ${source.label} - invalid birthday date: ${name}`);
+                                this.skipEntry(source, name, 'invalid date');
+                            }
+                        }
+                    }
+                }
+
+                this.log.debug(`[ical] ${source.label} - processed all events`);
+            } catch (err) {
+                this.log.error(`[ical] ${source.label} - unable to parse ical data (invalid file format?): ${err}`);
+                this.setSourceError(source, `unable to parse ical data: ${err}`);
+            }
+
+            resolve(addedBirthdays);
+        });
     }
 
     /**
-     * @param {() => void} callback
+     * Invalid birthday events are skipped in strict mode (and added with warning in lenient mode)
+     *
+     * @param {import('./lib/icalevents').Recurrence} recurrence
+     * @returns {string | null}
      */
-    onUnload(callback) {
+    getIcalEventProblem(recurrence) {
+        if (recurrence.cancelled) {
+            return 'event is cancelled';
+        } else if (!recurrence.recurring) {
+            return 'event is not recurring';
+        } else if (!recurrence.yearly) {
+            return 'event is not recurring yearly';
+        } else if (recurrence.ended) {
+            return 'recurrence has ended';
+        }
+
+        return null;
+    }
+
+    /**
+     * @param {{ type: string, label: string }} source
+     * @returns {import('./lib/birthyear').YearStrategy[]}
+     */
+    getIcalYearStrategies(source) {
+        // Instances without this setting keep the birth year of the description (as before)
+        const rows = this.config.icalYearStrategies === undefined ? [{ strategy: 'description' }] : this.config.icalYearStrategies;
+        const { strategies, errors } = createYearStrategies(rows);
+
+        for (const error of errors) {
+            this.log.warn(`[ical] ${source.label} - birth year strategy skipped: ${error}`);
+        }
+
+        return strategies;
+    }
+
+    /**
+     * @param {{ type: string, label: string }} source
+     * @returns {RegExp | null}
+     */
+    getIcalNameCleanRegex(source) {
+        if (!this.config.icalNameCleanRegex) {
+            return null;
+        }
+
         try {
+            return new RegExp(this.config.icalNameCleanRegex, 'g');
+        } catch (err) {
+            this.log.warn(`[ical] ${source.label} - invalid regular expression to clean names "${this.config.icalNameCleanRegex}": ${err.message}`);
+            return null;
+        }
+    }
+
+    getCardDavAccounts() {
+        /** @type {Array<{ active?: boolean, label?: string, url: string, user?: string, password?: string, ignoreCertErrors?: boolean, addressBooks?: string, group?: string }>} */
+        const configAccounts = Array.isArray(this.config.carddavAccounts) ? this.config.carddavAccounts : [];
+        // Passwords of the table are encrypted by admin (legacy password is decrypted by js-controller)
+        const accounts = configAccounts
+            .filter((account) => account.active !== false && account.url)
+            .map((account) => ({ ...account, password: account.password ? this.decrypt(account.password) : '' }));
+
+        // Single account configuration of previous versions
+        if (this.config.carddavUrl) {
+            accounts.unshift({
+                label: 'CardDAV',
+                url: this.config.carddavUrl,
+                user: this.config.carddavUser,
+                password: this.config.carddavPassword,
+                ignoreCertErrors: this.config.carddavIgnoreCertErrors,
+            });
+        }
+
+        return accounts.map((account, index) => ({
+            ...account,
+            label: account.label ? String(account.label).trim() : `CardDAV ${index + 1}`,
+            addressBooks: account.addressBooks
+                ? String(account.addressBooks)
+                      .split(',')
+                      .map((addressBook) => addressBook.trim().toLowerCase())
+                      .filter(Boolean)
+                : [],
+        }));
+    }
+
+    /**
+     * Events are tagged by category or a tag in the summary (which is removed from the name)
+     *
+     * @returns {{ type: string, name: string }}
+     */
+    getIcalEventType(event) {
+        const summary = String(event.summary);
+        const categories = event.component
+            .getAllProperties('categories')
+            .flatMap((prop) => prop.getValues())
+            .map((category) => String(category).trim().toLowerCase());
+
+        for (const eventType of this.getEventTypes()) {
+            if (eventType.icalTag) {
+                const tag = eventType.icalTag.toLowerCase();
+
+                if (categories.includes(tag)) {
+                    return { type: eventType.id, name: summary };
+                }
+
+                if (summary.toLowerCase().includes(tag)) {
+                    const tagIndex = summary.toLowerCase().indexOf(tag);
+                    return { type: eventType.id, name: (summary.slice(0, tagIndex) + summary.slice(tagIndex + tag.length)).replace(/\s+/g, ' ').trim() };
+                }
+            }
+        }
+
+        return { type: 'birthday', name: summary };
+    }
+
+    async addByCardDav() {
+        const accounts = this.getCardDavAccounts();
+
+        if (accounts.length === 0) {
+            this.log.debug(`[carddav] done - no account configured - skipped`);
+            return 0;
+        }
+
+        const data = await Promise.all(
+            accounts.map(async (account) => {
+                const source = this.startSource('carddav', account.label, account.group);
+                const addedBirthdays = await this.addByCardDavAccount(account, source);
+
+                this.finishSource(source);
+                return addedBirthdays;
+            }),
+        );
+        return data.reduce((pv, cv) => pv + cv, 0);
+    }
+
+    async addByCardDavAccount(account, source) {
+        this.log.debug(`[carddav] ${account.label} - url: ${account.url}`);
+
+        if (account.ignoreCertErrors) {
+            this.log.debug(`[carddav] ${account.label} - performing https requests with rejectUnauthorized = false`);
+        }
+
+        const client = new CardDavClient({
+            url: account.url,
+            user: account.user,
+            password: account.password,
+            ignoreCertErrors: account.ignoreCertErrors,
+            log: this.log,
+        });
+
+        /** @type {Array<{ label: string, data: string }>} */
+        let addressBookData = [];
+
+        try {
+            const addressBooks = await client.discoverAddressBooks();
+
+            if (addressBooks === null) {
+                this.log.debug(`[carddav] ${account.label} - no WebDAV server found, performing get request (vCard export)`);
+
+                addressBookData.push({ label: account.label, data: await client.fetchExport() });
+            } else {
+                this.log.debug(`[carddav] ${account.label} - found address books: ${JSON.stringify(addressBooks)}`);
+
+                const selectedAddressBooks = addressBooks.filter((addressBook) => account.addressBooks.length === 0 || account.addressBooks.includes(addressBook.displayName.toLowerCase()));
+
+                if (selectedAddressBooks.length === 0) {
+                    this.log.warn(`[carddav] ${account.label} - no matching address book found (available: ${addressBooks.map((addressBook) => addressBook.displayName).join(', ')})`);
+                }
+
+                for (const addressBook of selectedAddressBooks) {
+                    const label = selectedAddressBooks.length > 1 ? `${account.label} (${addressBook.displayName})` : account.label;
+                    // Group cards are required for the group membership of contacts
+                    const cards = await client.fetchCards(addressBook.url, ['BDAY', 'ANNIVERSARY', 'X-ANNIVERSARY', 'KIND', 'X-ADDRESSBOOKSERVER-KIND']);
+
+                    this.log.debug(`[carddav] ${label} - received ${cards.length} cards of address book ${addressBook.url}`);
+
+                    addressBookData.push({ label, data: cards.join('\r\n') });
+                }
+            }
+
+            await this.writeSourceCache(source, account.url, addressBookData);
+        } catch (err) {
+            this.log.warn(`[carddav] ${account.label} - ${err}`);
+            this.setSourceError(source, err);
+
+            const cache = await this.readSourceCache(source, account.url);
+            if (!cache) {
+                this.log.debug(`[carddav] ${account.label} - done with error`);
+                return 0;
+            }
+
+            addressBookData = cache.data;
+            source = { ...source, stale: true };
+        }
+
+        let addedBirthdays = 0;
+
+        for (const { label, data } of addressBookData) {
+            addedBirthdays += await this.addByVCardData(data, { ...source, label });
+        }
+
+        this.log.debug(`[carddav] ${account.label} - done`);
+
+        return addedBirthdays;
+    }
+
+    getImportFiles() {
+        /** @type {Array<{ active?: boolean, label?: string, path: string, storage?: string, format?: string, nameColumns?: string, dateColumn?: string, dateFormat?: string, group?: string }>} */
+        const configFiles = Array.isArray(this.config.importFiles) ? this.config.importFiles : [];
+
+        return configFiles
+            .filter((file) => file.active !== false && file.path)
+            .map((file, index) => ({
+                ...file,
+                path: String(file.path).trim(),
+                label: file.label ? String(file.label).trim() : `File ${index + 1}`,
+            }));
+    }
+
+    async addByFiles() {
+        const files = this.getImportFiles();
+
+        if (files.length === 0) {
+            this.log.debug(`[file] done - no file configured - skipped`);
+            return 0;
+        }
+
+        const data = await Promise.all(
+            files.map(async (file) => {
+                const source = this.startSource('file', file.label, file.group);
+                const addedBirthdays = await this.addByFile(file, source);
+
+                this.finishSource(source);
+                return addedBirthdays;
+            }),
+        );
+        return data.reduce((pv, cv) => pv + cv, 0);
+    }
+
+    /**
+     * Imported rows are validated like the rows of the settings table
+     *
+     * @param {{ label: string, path: string, storage?: string, format?: string, nameColumns?: string, dateColumn?: string, dateFormat?: string }} file
+     * @param {{ type: string, label: string, id: string }} source
+     * @returns {Promise<number>}
+     */
+    async addByFile(file, source) {
+        const format = getFileFormat(file.path, file.format);
+
+        this.log.debug(`[file] ${file.label} - path: ${file.path} (${file.storage === 'iobroker' ? 'file storage' : 'filesystem'}, format ${format})`);
+
+        /** @type {import('./lib/fileimport').ImportRow[]} */
+        let rows = [];
+
+        try {
+            if (!format) {
+                throw new Error(`unknown file format of ${file.path} - please select the format`);
+            }
+
+            const data = await this.readImportFile(file);
+
+            if (format === 'vcf') {
+                rows = this.vCardsToImportRows(data);
+            } else if (format === 'csv') {
+                rows = csvToImportRows(parseCsv(data), file);
+            } else {
+                rows = jsonToImportRows(data);
+            }
+        } catch (err) {
+            this.log.error(`[file] ${file.label} - unable to import ${file.path}: ${err}`);
+            this.setSourceError(source, err);
+            return 0;
+        }
+
+        this.log.debug(`[file] ${file.label} - found ${rows.length} entries`);
+
+        let addedBirthdays = 0;
+
+        for (const row of rows) {
+            try {
+                const { date, yearKnown, type, death } = this.parseSettingsBirthday(row);
+
+                this.log.debug(`[file] ${file.label} - found ${type}: ${row.name} (${yearKnown ? row.year : 'unknown year'})`);
+
+                if (this.addBirthday(row.name, date, source, { yearKnown, type, uid: row.uid, groups: parseGroups(row.group), death })) {
+                    addedBirthdays++;
+                }
+            } catch (err) {
+                this.log.warn(`[file] ${file.label} - ${err.message}`);
+                this.skipEntry(source, row.name, err.message);
+            }
+        }
+
+        this.log.debug(`[file] ${file.label} - done`);
+
+        return addedBirthdays;
+    }
+
+    /**
+     * Files of the ioBroker file storage are configured as "<meta object>/<path>" (e.g. 0_userdata.0/birthdays.csv)
+     *
+     * @param {{ path: string, storage?: string }} file
+     * @returns {Promise<string>}
+     */
+    async readImportFile(file) {
+        if (file.storage === 'iobroker') {
+            const [metaId, ...filePath] = file.path.replace(/^\/+/, '').split('/');
+
+            if (!metaId || filePath.length === 0) {
+                throw new Error(`invalid path ${file.path} - expected <meta object>/<file> (e.g. 0_userdata.0/birthdays.csv)`);
+            }
+
+            const { file: data } = await this.readFileAsync(metaId, filePath.join('/'));
+            return data.toString();
+        }
+
+        return fs.promises.readFile(file.path, 'utf8');
+    }
+
+    /**
+     * @param {string} dataStr
+     * @returns {import('./lib/fileimport').ImportRow[]}
+     */
+    vCardsToImportRows(dataStr) {
+        const rows = [];
+
+        const vcards = this.parseVCards(dataStr).map((vcard) => new ICAL.Component(vcard));
+        const groupMembers = getVCardGroupMembers(vcards);
+
+        for (const comp of vcards) {
+            const name = comp.getFirstPropertyValue('fn');
+            const uid = comp.getFirstPropertyValue('uid');
+            const deathDate = comp.getFirstPropertyValue('deathdate');
+
+            const dates = [{ type: 'birthday', prop: comp.getFirstProperty('bday') }];
+            if (this.getEventType('anniversary')) {
+                dates.push({ type: 'anniversary', prop: comp.getFirstProperty('anniversary') || comp.getFirstProperty('x-anniversary') });
+            }
+
+            for (const { type, prop } of dates.filter((date) => date.prop)) {
+                const { date, yearKnown } = this.parseVCardDate(prop);
+
+                rows.push({
+                    name: name ? String(name) : '',
+                    type,
+                    uid: uid ? String(uid) : undefined,
+                    group: mergeGroups(getCategories(comp), groupMembers.get(normalizeVCardUid(uid))),
+                    ...(type === 'birthday' && deathDate ? { deathDate: String(deathDate) } : {}),
+                    day: date.date(),
+                    month: date.month() + 1,
+                    year: yearKnown ? date.year() : null,
+                });
+            }
+        }
+
+        return rows;
+    }
+
+    /**
+     * The last successful result of remote sources is stored in the file storage (fallback if the source is not available)
+     *
+     * @param {{ type: string, label: string, id: string }} source
+     * @param {string} url
+     * @returns {string}
+     */
+    getSourceCacheFileName(source, url) {
+        return getCacheFileName(source.type, url);
+    }
+
+    /**
+     * @param {{ type: string, label: string, id: string }} source
+     * @param {string} url
+     * @param {any} data
+     */
+    async writeSourceCache(source, url, data) {
+        // Preview is read-only
+        if (this.previewMode) {
+            return;
+        }
+
+        try {
+            await this.createFileStorage();
+            await this.writeFileAsync(this.namespace, this.getSourceCacheFileName(source, url), createCache(data));
+        } catch (err) {
+            this.log.warn(`[${source.type}] ${source.label} - unable to write cache: ${err}`);
+        }
+    }
+
+    /**
+     * @param {{ type: string, label: string, id: string }} source
+     * @param {string} url
+     * @returns {Promise<{ timestamp: number, data: any } | null>} null if there is no cache or the cache is older than the configured maximum age
+     */
+    async readSourceCache(source, url) {
+        const maxAgeDays = Number(this.config.cacheMaxAge);
+
+        if (!(maxAgeDays > 0)) {
+            return null;
+        }
+
+        try {
+            const { file } = await this.readFileAsync(this.namespace, this.getSourceCacheFileName(source, url));
+            const cache = parseCache(file);
+            const cacheDate = moment(cache.timestamp);
+
+            if (isCacheExpired(cache, maxAgeDays)) {
+                this.log.warn(`[${source.type}] ${source.label} - cached data of ${this.formatDate(cacheDate.toDate())} is older than ${maxAgeDays} days - dropped`);
+                return null;
+            }
+
+            this.log.warn(`[${source.type}] ${source.label} - using cached data of ${this.formatDate(cacheDate.toDate())}`);
+
+            if (this.sourceStatus[source.id]) {
+                this.sourceStatus[source.id].stale = true;
+            }
+
+            return cache;
+        } catch (err) {
+            this.log.debug(`[${source.type}] ${source.label} - no cached data available: ${err}`);
+            return null;
+        }
+    }
+
+    /**
+     * Sync status of a source (written to info.sources.<id> after collecting)
+     *
+     * @param {string} type
+     * @param {string} label
+     * @param {string} [groups] groups of all entries of the source (comma separated)
+     * @returns {{ type: string, label: string, id: string }}
+     */
+    startSource(type, label, groups) {
+        const id = getSourceId(type, label, Object.keys(this.sourceStatus));
+
+        if (id !== getSourceId(type, label, [])) {
+            this.log.warn(`[${type}] ${label} - label is used by multiple sources - status is written to info.sources.${id}`);
+        }
+
+        this.sourceStatus[id] = createSourceStatus(type, label, groups);
+
+        return { type, label, id };
+    }
+
+    /**
+     * @param {{ id: string }} source
+     * @param {string} name
+     * @param {string} reason
+     */
+    skipEntry(source, name, reason) {
+        if (this.sourceStatus[source.id]) {
+            this.sourceStatus[source.id].skipped.push({ name, reason });
+        }
+    }
+
+    /**
+     * @param {{ id: string }} source
+     * @param {any} err
+     */
+    setSourceError(source, err) {
+        if (this.sourceStatus[source.id]) {
+            this.sourceStatus[source.id].error = String(err);
+        }
+    }
+
+    /**
+     * @param {{ id: string }} source
+     */
+    finishSource(source) {
+        const status = this.sourceStatus[source.id];
+
+        if (status) {
+            finishSourceStatus(status);
+        }
+    }
+
+    async fillSourceStates() {
+        const sourceIds = Object.keys(this.sourceStatus);
+
+        for (const id of sourceIds) {
+            const status = this.sourceStatus[id];
+            const path = `info.sources.${id}`;
+
+            await this.extendObjectAsync(path, {
+                type: 'channel',
+                common: {
+                    name: `${status.label} (${status.type})`,
+                },
+                native: {},
+            });
+
+            await this.setObjectNotExistsAsync(`${path}.status`, {
+                type: 'state',
+                common: {
+                    name: {
+                        en: 'Status',
+                        de: 'Status',
+                        ru: 'Статус',
+                        pt: 'Status',
+                        nl: 'Status',
+                        fr: 'Statut',
+                        it: 'Stato',
+                        es: 'Estado',
+                        pl: 'Status',
+                        uk: 'Статус',
+                        'zh-cn': '状态',
+                    },
+                    type: 'string',
+                    role: 'text',
+                    states: { ok: 'ok', stale: 'stale', error: 'error' },
+                    read: true,
+                    write: false,
+                },
+                native: {},
+            });
+
+            await this.setObjectNotExistsAsync(`${path}.lastSuccess`, {
+                type: 'state',
+                common: {
+                    name: {
+                        en: 'Last success',
+                        de: 'Letzter Erfolg',
+                        ru: 'Последний успех',
+                        pt: 'Último sucesso',
+                        nl: 'Laatste succes',
+                        fr: 'Dernier succès',
+                        it: 'Ultimo successo',
+                        es: 'Último éxito',
+                        pl: 'Ostatni sukces',
+                        uk: 'Останній успіх',
+                        'zh-cn': '上次成功',
+                    },
+                    type: 'number',
+                    role: 'date',
+                    read: true,
+                    write: false,
+                },
+                native: {},
+            });
+
+            await this.setObjectNotExistsAsync(`${path}.lastError`, {
+                type: 'state',
+                common: {
+                    name: {
+                        en: 'Last error',
+                        de: 'Letzter Fehler',
+                        ru: 'Последняя ошибка',
+                        pt: 'Último erro',
+                        nl: 'Laatste fout',
+                        fr: 'Dernière erreur',
+                        it: 'Ultimo errore',
+                        es: 'Último error',
+                        pl: 'Ostatni błąd',
+                        uk: 'Остання помилка',
+                        'zh-cn': '上次错误',
+                    },
+                    type: 'string',
+                    role: 'text',
+                    read: true,
+                    write: false,
+                },
+                native: {},
+            });
+
+            await this.setObjectNotExistsAsync(`${path}.count`, {
+                type: 'state',
+                common: {
+                    name: {
+                        en: 'Number of entries',
+                        de: 'Anzahl der Einträge',
+                        ru: 'Количество записей',
+                        pt: 'Número de entradas',
+                        nl: 'Aantal items',
+                        fr: `Nombre d'entrées`,
+                        it: 'Numero di voci',
+                        es: 'Número de entradas',
+                        pl: 'Liczba wpisów',
+                        uk: 'Кількість записів',
+                        'zh-cn': '条目数',
+                    },
+                    type: 'number',
+                    role: 'value',
+                    read: true,
+                    write: false,
+                },
+                native: {},
+            });
+
+            await this.setObjectNotExistsAsync(`${path}.skipped`, {
+                type: 'state',
+                common: {
+                    name: {
+                        en: 'Skipped entries',
+                        de: 'Übersprungene Einträge',
+                        ru: 'Пропущенные записи',
+                        pt: 'Entradas ignoradas',
+                        nl: 'Overgeslagen items',
+                        fr: 'Entrées ignorées',
+                        it: 'Voci saltate',
+                        es: 'Entradas omitidas',
+                        pl: 'Pominięte wpisy',
+                        uk: 'Пропущені записи',
+                        'zh-cn': '跳过的条目',
+                    },
+                    type: 'number',
+                    role: 'value',
+                    read: true,
+                    write: false,
+                },
+                native: {},
+            });
+
+            await this.setObjectNotExistsAsync(`${path}.skippedReasons`, {
+                type: 'state',
+                common: {
+                    name: {
+                        en: 'Skipped entries JSON',
+                        de: 'Übersprungene Einträge JSON',
+                        ru: 'Пропущенные записи JSON',
+                        pt: 'Entradas ignoradas JSON',
+                        nl: 'Overgeslagen items JSON',
+                        fr: 'Entrées ignorées JSON',
+                        it: 'Voci saltate JSON',
+                        es: 'Entradas omitidas JSON',
+                        pl: 'Pominięte wpisy JSON',
+                        uk: 'Пропущені записи JSON',
+                        'zh-cn': '跳过的条目 JSON',
+                    },
+                    type: 'string',
+                    role: 'json',
+                    read: true,
+                    write: false,
+                },
+                native: {},
+            });
+
+            await this.setObjectNotExistsAsync(`${path}.duration`, {
+                type: 'state',
+                common: {
+                    name: {
+                        en: 'Duration',
+                        de: 'Dauer',
+                        ru: 'Продолжительность',
+                        pt: 'Duração',
+                        nl: 'Duur',
+                        fr: 'Durée',
+                        it: 'Durata',
+                        es: 'Duración',
+                        pl: 'Czas trwania',
+                        uk: 'Тривалість',
+                        'zh-cn': '持续时间',
+                    },
+                    type: 'number',
+                    role: 'value',
+                    unit: 'ms',
+                    read: true,
+                    write: false,
+                },
+                native: {},
+            });
+
+            this.log.debug(`[fillSourceStates] ${id}: ${JSON.stringify(status)}`);
+
+            for (const [state, val] of Object.entries(getSourceStateValues(status))) {
+                await this.setStateAsync(`${path}.${state}`, { val, ack: true });
+            }
+        }
+
+        // Delete removed sources
+        const allSources = await this.getChannelsOfAsync('info.sources');
+
+        for (const obj of allSources) {
+            const id = this.removeNamespace(obj._id);
+
+            if (!sourceIds.includes(id.split('.').pop())) {
+                await this.delObjectAsync(id, { recursive: true });
+                this.log.debug(`[fillSourceStates] source deleted: ${id}`);
+            }
+        }
+    }
+
+    async createFileStorage() {
+        await this.setForeignObjectNotExistsAsync(this.namespace, {
+            type: 'meta',
+            common: {
+                name: 'Birthdays',
+                type: 'meta.user',
+            },
+            native: {},
+        });
+    }
+
+    async addByVCardData(dataStr, source) {
+        return new Promise((resolve) => {
+            let addedBirthdays = 0;
+
+            try {
+                // Parse vcards
+                const vcards = this.parseVCards(dataStr).map((vcard) => new ICAL.Component(vcard));
+                const groupMembers = getVCardGroupMembers(vcards);
+
+                this.log.debug(`[carddav] ${source.label} - found ${vcards.length} contacts`);
+
+                for (const comp of vcards) {
+                    this.log.debug(`[carddav] ${source.label} - processing vcard: ${JSON.stringify(comp.toJSON())}`);
+
+                    const name = comp.getFirstPropertyValue('fn');
+                    const uid = comp.getFirstPropertyValue('uid');
+                    const groups = mergeGroups(getCategories(comp), groupMembers.get(normalizeVCardUid(uid)));
+
+                    const dates = [{ type: 'birthday', prop: comp.getFirstProperty('bday') }];
+                    if (this.getEventType('anniversary')) {
+                        dates.push({ type: 'anniversary', prop: comp.getFirstProperty('anniversary') || comp.getFirstProperty('x-anniversary') });
+                    }
+
+                    if (name && dates.some((date) => date.prop)) {
+                        const death = this.parseVCardDeathDate(comp, source, name);
+
+                        for (const { type, prop } of dates.filter((date) => date.prop)) {
+                            const { date: carddavDate, yearKnown } = this.parseVCardDate(prop);
+
+                            if (carddavDate.isValid() && carddavDate.year() <= this.today.year()) {
+                                this.log.debug(`[carddav] ${source.label} - found ${type}: ${name} (${yearKnown ? carddavDate.year() : 'unknown year'})`);
+
+                                if (this.addBirthday(name, carddavDate, source, { yearKnown, type, uid: uid ? String(uid) : undefined, groups, death: type === 'birthday' ? death : null })) {
+                                    addedBirthdays++;
+                                }
+                            } else {
+                                this.log.warn(`[carddav] ${source.label} - invalid ${type} date: ${name}`);
+                                this.skipEntry(source, name, `invalid ${type} date`);
+                            }
+                        }
+                    } else if (name) {
+                        this.log.debug(`[carddav] ${source.label} - missing birthdate in event: ${name}`);
+                    }
+                }
+            } catch (err) {
+                this.log.error(`[carddav] ${source.label} - unable to parse vcard data (invalid file format?): ${err}`);
+                this.setSourceError(source, `unable to parse vcard data: ${err}`);
+            }
+
+            resolve(addedBirthdays);
+        });
+    }
+
+    /**
+     * Supports full dates, dates without year (vCard 4: --MMDD) and Apple's X-APPLE-OMIT-YEAR parameter
+     *
+     * @param {any} prop ICAL.Property of BDAY / ANNIVERSARY
+     * @returns {{ date: moment.Moment, yearKnown: boolean }}
+     */
+    parseVCardDate(prop) {
+        const value = prop.getFirstValue();
+
+        if (value && typeof value === 'object' && 'month' in value && 'day' in value) {
+            const omitYear = prop.getParameter('x-apple-omit-year');
+            const yearKnown = !!value.year && String(value.year) !== String(omitYear);
+
+            return {
+                date: moment({ year: yearKnown ? value.year : UNKNOWN_YEAR, month: value.month - 1, day: value.day }),
+                yearKnown,
+            };
+        }
+
+        // Unknown properties (e.g. X-ANNIVERSARY) are parsed as text
+        const match = /^(\d{4}|--)-?(\d{2})-?(\d{2})/.exec(String(value));
+        if (match) {
+            const yearKnown = match[1] !== '--' && match[1] !== prop.getParameter('x-apple-omit-year');
+
+            return {
+                date: moment({ year: yearKnown ? parseInt(match[1]) : UNKNOWN_YEAR, month: parseInt(match[2]) - 1, day: parseInt(match[3]) }),
+                yearKnown,
+            };
+        }
+
+        return {
+            date: moment.invalid(),
+            yearKnown: true,
+        };
+    }
+
+    /**
+     * Date of death of deceased people (RFC 6474) - invalid dates are reported and ignored
+     *
+     * @param {any} comp ICAL.Component (VCARD)
+     * @param {{ type: string, label: string, id: string }} source
+     * @param {string} name
+     * @returns {import('./lib/memorial').Death | null}
+     */
+    parseVCardDeathDate(comp, source, name) {
+        try {
+            return parseDeathDate(comp.getFirstPropertyValue('deathdate'));
+        } catch (err) {
+            this.log.warn(`[carddav] ${source.label} - ${name}: ${err.message}`);
+            this.skipEntry(source, name, err.message);
+            return null;
+        }
+    }
+
+    parseVCards(dataStr) {
+        if (!dataStr || !String(dataStr).trim()) {
+            return [];
+        }
+
+        const parsed = ICAL.parse(String(dataStr));
+
+        // A single vCard is returned as component - multiple vCards as list of components
+        return typeof parsed[0] === 'string' ? [parsed] : parsed;
+    }
+
+    /**
+     * Collects a birthday of a source - entries of all sources are merged after collecting (see mergeBirthdays)
+     *
+     * @param {string} name
+     * @param {moment.Moment} birthday
+     * @param {{ type: string, label: string, id: string, stale?: boolean }} source
+     * @param {{ yearKnown?: boolean, type?: string, uid?: string, occurrences?: import('./lib/icalevents').Occurrence[], groups?: string[], death?: import('./lib/memorial').Death | null }} [options]
+     */
+    addBirthday(name, birthday, source, options = {}) {
+        if (this.sourceStatus[source.id]) {
+            this.sourceStatus[source.id].count++;
+        }
+
+        let death = options.death ?? null;
+        const deathProblem = death ? getDeathProblem(death, birthday, options.yearKnown ?? true, this.today) : null;
+        if (deathProblem) {
+            this.log.warn(`[${source.type}] ${source.label} - ${name}: ${deathProblem} - date of death ignored`);
+            this.skipEntry(source, name, `${deathProblem} - date of death ignored`);
+            death = null;
+        }
+
+        this.collectedBirthdays.push({
+            name,
+            birthday,
+            yearKnown: options.yearKnown ?? true,
+            type: options.type ?? 'birthday',
+            uid: options.uid,
+            occurrences: options.occurrences,
+            groups: mergeGroups(options.groups, this.sourceStatus[source.id]?.groups),
+            death,
+            source,
+        });
+
+        return true;
+    }
+
+    /**
+     * Merges the same person of different sources (by UID or normalized name and date) and reports conflicting dates
+     */
+    mergeBirthdays() {
+        const { merged, conflicts } = mergeEntries(this.collectedBirthdays, parseSourcePriority(this.config.sourcePriority));
+
+        for (const entry of merged) {
+            if (entry.sources.length > 1) {
+                this.log.debug(`[mergeBirthdays] merged ${entry.type} "${entry.name}" of sources: ${entry.sources.map((source) => source.label).join(', ')}`);
+            }
+
+            this.createBirthday(entry);
+        }
+
+        for (const conflict of conflicts) {
+            const dates = conflict.sources.map((source) => `${source.label}: ${source.date}`).join(', ');
+
+            if (conflict.resolved) {
+                this.log.info(`[mergeBirthdays] conflicting dates of ${conflict.type} "${conflict.name}" (${dates}) - using ${conflict.date}`);
+            } else {
+                this.log.info(`[mergeBirthdays] ${conflict.type} "${conflict.name}" found with different dates (${dates}) - please check your sources`);
+            }
+        }
+
+        this.conflicts = conflicts;
+    }
+
+    /**
+     * @param {import('./lib/merge').MergedEntry} entry
+     */
+    createBirthday(entry) {
+        const { name, birthday, yearKnown, type, occurrences, source, sources } = entry;
+        const death = type === 'birthday' ? entry.death : null;
+        const id = String(name + '_' + (type !== 'birthday' ? `${type}_` : '') + (yearKnown ? birthday.year() : '') + birthday.month() + birthday.day());
+
+        const nextBirthday = getNextOccurrence(birthday, this.today, this.config.leapDayPolicy, occurrences);
+        const nextAge = yearKnown ? nextBirthday.year() - birthday.year() : null;
+
+        const birthdayObj = {
+            id: id,
+            type: type,
+            name: name,
+            birthYear: yearKnown ? birthday.year() : null,
+            dateFormat: this.formatDate(nextBirthday.toDate()),
+            age: nextAge,
+            currentAgeText: '',
+            daysLeft: nextBirthday.diff(this.today, 'days'),
+            source: source.type,
+            sourceLabel: source.label,
+            groups: entry.groups ?? [],
+            sources: sources,
+            stale: sources.every((s) => !!s.stale),
+            ...(death ? { deceased: true, deathDate: formatDeathDate(death), ...getMemorialYears(birthday, yearKnown, death, nextBirthday, this.config.leapDayPolicy) } : {}),
+            ...(this.config.personObjects && type === 'birthday' ? { personId: this.getPersonId(entry) } : {}),
+            _birthday: birthday,
+            _nextBirthday: nextBirthday,
+            _death: death,
+        };
+
+        if (yearKnown && !death) {
+            birthdayObj.currentAgeText = this.getCurrentAgeAsText(birthdayObj);
+        }
+
+        this.birthdays.push(birthdayObj);
+
+        if (death) {
+            this.createMemorials(birthdayObj, death);
+        }
+
+        // Significant birthdays require a known age
+        if (type !== 'birthday' || nextAge === null) {
+            return;
+        }
+
+        const nextSignificant = getNextSignificantBirthday(birthday, nextAge, this.config, this.config.leapDayPolicy);
+        if (!nextSignificant) {
+            return;
+        }
+
+        const nextSignificantBirthday = nextSignificant.date;
+
+        this.birthdaysSignificant.push({
+            name: name,
+            birthYear: birthday.year(),
+            dateFormat: this.formatDate(nextSignificantBirthday.toDate()),
+            age: nextSignificant.age,
+            daysLeft: nextSignificantBirthday.diff(this.today, 'days'),
+            significantRule: nextSignificant.rule,
+            source: source.type,
+            sourceLabel: source.label,
+            groups: entry.groups ?? [],
+            sources: sources,
+            ...(death ? { deceased: true, deathDate: formatDeathDate(death), ...getMemorialYears(birthday, yearKnown, death, nextSignificantBirthday, this.config.leapDayPolicy) } : {}),
+            _birthday: birthday,
+            _nextBirthday: nextSignificantBirthday,
+            _death: death,
+        });
+    }
+
+    /**
+     * Id of persons.<id> (birthdays only) - the UID of the source or the id of the settings table does not change with the name or date.
+     * Entries without id fall back to the name (changes when the name is corrected).
+     *
+     * @param {import('./lib/merge').MergedEntry} entry
+     * @returns {string}
+     */
+    getPersonId(entry) {
+        return getPersonId(entry, this.personIds);
+    }
+
+    /**
+     * Memorial entries of deceased people: birthday and memorial day (anniversary of the date of death, if known)
+     *
+     * @param {any} birthdayObj
+     * @param {import('./lib/memorial').Death} death
+     */
+    createMemorials(birthdayObj, death) {
+        const memorial = {
+            id: birthdayObj.id,
+            name: birthdayObj.name,
+            birthYear: birthdayObj.birthYear,
+            deceased: true,
+            deathDate: birthdayObj.deathDate,
+            ageAtDeath: birthdayObj.ageAtDeath,
+            source: birthdayObj.source,
+            sourceLabel: birthdayObj.sourceLabel,
+            groups: birthdayObj.groups,
+            sources: birthdayObj.sources,
+            _birthday: birthdayObj._birthday,
+            _death: death,
+        };
+
+        this.memorials.push({
+            ...memorial,
+            occasion: 'birthday',
+            dateFormat: birthdayObj.dateFormat,
+            age: birthdayObj.age,
+            yearsSincePassing: birthdayObj.yearsSincePassing,
+            daysLeft: birthdayObj.daysLeft,
+            _nextBirthday: birthdayObj._nextBirthday,
+        });
+
+        if (hasDeathDay(death)) {
+            const nextMemorialDay = getNextOccurrence(toMoment(death), this.today, this.config.leapDayPolicy);
+
+            this.memorials.push({
+                ...memorial,
+                occasion: 'memorialDay',
+                dateFormat: this.formatDate(nextMemorialDay.toDate()),
+                age: null,
+                yearsSincePassing: getMemorialYears(birthdayObj._birthday, birthdayObj.birthYear !== null, death, nextMemorialDay, this.config.leapDayPolicy).yearsSincePassing,
+                daysLeft: nextMemorialDay.diff(this.today, 'days'),
+                _nextBirthday: nextMemorialDay,
+            });
+        }
+    }
+
+    /**
+     * Name days of known people (first name and aliases) in the configured calendar - the next name day is added to the birthday
+     */
+    createNamedays() {
+        if (!this.config.namedayCalendar) {
+            return;
+        }
+
+        const index = createNamedayIndex(loadNamedayCalendar(this.config.namedayCalendar));
+        const aliases = parseNamedayAliases(this.config.namedayAliases);
+
+        for (const birthdayObj of this.birthdays.filter((birthday) => this.isNextBirthday(birthday))) {
+            const nextNameday = findNamedays(birthdayObj.name, index, aliases)
+                .map((nameday) => ({ ...nameday, date: getNextOccurrence(moment({ year: UNKNOWN_YEAR, month: nameday.month - 1, day: nameday.day }), this.today, this.config.leapDayPolicy) }))
+                .sort((a, b) => a.date.diff(b.date))[0];
+
+            if (!nextNameday) {
+                continue;
+            }
+
+            birthdayObj.nextNameday = this.formatDate(nextNameday.date.toDate());
+
+            this.namedays.push({
+                id: birthdayObj.id,
+                name: birthdayObj.name,
+                occasion: 'nameday',
+                nameday: nextNameday.name,
+                birthYear: birthdayObj.birthYear,
+                dateFormat: birthdayObj.nextNameday,
+                age: null,
+                daysLeft: nextNameday.date.diff(this.today, 'days'),
+                source: birthdayObj.source,
+                sourceLabel: birthdayObj.sourceLabel,
+                groups: birthdayObj.groups,
+                sources: birthdayObj.sources,
+                _birthday: birthdayObj._birthday,
+                _nextBirthday: nextNameday.date,
+            });
+        }
+
+        this.log.debug(`[createNamedays] ${this.namedays.length} of ${this.birthdays.length} people with name day (calendar: ${this.config.namedayCalendar})`);
+    }
+
+    /**
+     * Birthdays (other event types have their own channels)
+     *
+     * @param {any} birthday entry of birthdays or significant birthdays
+     * @returns {boolean}
+     */
+    isListedBirthday(birthday) {
+        return (birthday.type ?? 'birthday') === 'birthday';
+    }
+
+    /**
+     * Birthdays of deceased people are not picked as next birthdays (unless configured otherwise)
+     *
+     * @param {any} birthday entry of birthdays or significant birthdays
+     * @returns {boolean}
+     */
+    isNextBirthday(birthday) {
+        return this.isListedBirthday(birthday) && (!birthday.deceased || !!this.config.memorialIncludeBirthdays);
+    }
+
+    /**
+     * Writes all birthdays as iCal calendar to the file storage (and into a state)
+     */
+    async exportIcal() {
+        if (!this.config.icalExportEnabled) {
+            return;
+        }
+
+        const birthdays = this.birthdays.filter((birthday) => this.isListedBirthday(birthday));
+        const data = this.createIcalExport(birthdays);
+
+        await this.createFileStorage();
+        await this.writeFileAsync(this.namespace, 'birthdays.ics', data);
+        await this.setStateAsync('export.ical', { val: data, ack: true });
+
+        this.log.debug(`[exportIcal] exported ${birthdays.length} birthdays to ${this.namespace}/birthdays.ics`);
+    }
+
+    /**
+     * @param {Array<any>} birthdays
+     * @returns {string}
+     */
+    createIcalExport(birthdays) {
+        const events = birthdays.map((birthday) => ({
+            ...birthday,
+            summary:
+                birthday.age === null
+                    ? this.renderText(this.config.icalExportSummaryTemplateNoAge, this.getTemplateVariables(birthday), BIRTHDAY_TEMPLATE, '{name}')
+                    : this.renderText(this.config.icalExportSummaryTemplate, this.getTemplateVariables(birthday), BIRTHDAY_TEMPLATE, '{name} ({age})'),
+        }));
+
+        return createIcalExport(events, {
+            calendarName: getLocalizedText(this.textLanguage, 'calendarName', ''),
+            leapDayPolicy: getLeapDayPolicy(this.config.leapDayPolicy),
+            alarm: this.config.icalExportAlarm ? { hour: Number(this.config.icalExportAlarmHour ?? 9), daysBefore: Number(this.config.icalExportAlarmDaysBefore ?? 0) } : null,
+        });
+    }
+
+    /**
+     * Adds a state to the result set (written by writeResultStates)
+     *
+     * @param {string} id
+     * @param {ioBroker.StateValue} val
+     */
+    setResultState(id, val) {
+        this.resultStates.set(id, val);
+    }
+
+    /**
+     * Writes all changed states of the result set
+     *
+     * @returns {Promise<{ statesWritten: number, statesUnchanged: number }>}
+     */
+    async writeResultStates() {
+        const existing = await this.getStatesAsync('*');
+        const changed = diffStates(this.resultStates, existing, this.namespace);
+
+        await runLimited(changed, SYNC_CONCURRENCY, async ([id, val]) => {
+            try {
+                await this.setStateAsync(id, { val, ack: true });
+            } catch (err) {
+                this.log.warn(`[sync] unable to write state ${id}: ${err}`);
+            }
+        });
+
+        return { statesWritten: changed.length, statesUnchanged: this.resultStates.size - changed.length };
+    }
+
+    /**
+     * Creates missing objects of birthdays (month.MM.<id> or persons.<id>) and deletes removed birthdays
+     *
+     * @param {Map<string, any>} objects required objects by id
+     * @param {Map<string, string>} previousPaths previous path by path of a birthday - custom settings (e.g. history) are copied to new objects
+     * @returns {Promise<{ objectsCreated: number, objectsDeleted: number }>}
+     */
+    async syncBirthdayObjects(objects, previousPaths) {
+        const views = await Promise.all(
+            ['month', 'persons'].flatMap((root) =>
+                ['channel', 'state'].map((type) => this.getObjectViewAsync('system', type, { startkey: `${this.namespace}.${root}.`, endkey: `${this.namespace}.${root}.\u9999` })),
+            ),
+        );
+
+        /** @type {Map<string, any>} */
+        const existing = new Map(views.flatMap((view) => view.rows).map((row) => [this.removeNamespace(row.id), row.value]));
+
+        const { create, customs, rename, remove } = planObjectSync(objects, existing, previousPaths);
+
+        // Channels before their states
+        for (const batch of create) {
+            await runLimited(batch, SYNC_CONCURRENCY, async (id) => {
+                const obj = objects.get(id);
+                const previousId = customs.get(id);
+
+                if (previousId) {
+                    obj.common = { ...obj.common, custom: existing.get(previousId).common.custom };
+                    this.log.debug(`[sync] custom settings of ${previousId} copied to ${id}`);
+                }
+
+                try {
+                    await this.setObjectNotExistsAsync(id, obj);
+                } catch (err) {
+                    this.log.warn(`[sync] unable to create object ${id}: ${err}`);
+                }
+            });
+        }
+
+        await runLimited(rename, SYNC_CONCURRENCY, async (id) => {
+            try {
+                await this.extendObjectAsync(id, { common: { name: objects.get(id).common.name } });
+            } catch (err) {
+                this.log.warn(`[sync] unable to rename ${id}: ${err}`);
+            }
+        });
+
+        await runLimited(remove, SYNC_CONCURRENCY, async (id) => {
+            try {
+                await this.delObjectAsync(id, { recursive: true });
+                this.log.debug(`[sync] birthday deleted: ${id}`);
+            } catch (err) {
+                this.log.warn(`[sync] unable to delete ${id}: ${err}`);
+            }
+        });
+
+        this.log.debug(`[sync] objects created: ${create.flat().length}, channels deleted: ${remove.length}`);
+
+        return { objectsCreated: create.flat().length, objectsDeleted: remove.length };
+    }
+
+    /**
+     * @param {import('./lib/sync').SyncMetrics & { duration: number }} metrics
+     */
+    async fillSyncMetrics(metrics) {
+        this.log.debug(`[sync] ${JSON.stringify(metrics)}`);
+
+        for (const [key, val] of Object.entries(metrics)) {
+            await this.setStateAsync(`info.sync.${key}`, { val, ack: true });
+        }
+    }
+
+    async fillStates() {
+        const start = Date.now();
+        this.resultStates = new Map();
+
+        // Sort by daysLeft
+        this.birthdays.sort((a, b) => (a.daysLeft > b.daysLeft ? 1 : -1));
+        this.birthdaysSignificant.sort((a, b) => (a.daysLeft > b.daysLeft ? 1 : -1));
+        this.memorials.sort((a, b) => (a.daysLeft > b.daysLeft ? 1 : -1));
+
+        // All outputs except groups.* might be limited to some groups
+        const summaryGroups = parseGroups(this.config.summaryGroups);
+        const birthdays = this.birthdays.filter((birthday) => this.isListedBirthday(birthday) && matchesGroups(birthday.groups, summaryGroups));
+        const birthdaysSignificant = this.birthdaysSignificant.filter((birthday) => this.isListedBirthday(birthday) && matchesGroups(birthday.groups, summaryGroups));
+
+        this.log.debug(`[fillStates] birthdays: ${JSON.stringify(birthdays)}`);
+        this.setResultState('summary.json', JSON.stringify(birthdays));
+        this.setResultState('summary.count', birthdays.length);
+
+        this.log.debug(`[fillStates] birthdays significant: ${JSON.stringify(birthdaysSignificant)}`);
+        this.setResultState('summary.jsonSignificant', JSON.stringify(birthdaysSignificant));
+
+        this.log.debug(`[fillStates] conflicts: ${JSON.stringify(this.conflicts)}`);
+        this.setResultState('summary.conflicts', JSON.stringify(this.conflicts));
+
+        /** @type {Map<string, any>} */
+        const birthdayObjects = new Map();
+        /** @type {Map<string, string>} */
+        const previousPaths = new Map();
+
+        for (const birthdayObj of birthdays) {
+            const { path, previousPath } = getBirthdayPaths(birthdayObj);
+
+            // Stable objects replace the channels in month (which change with the name or date)
+            if (previousPath) {
+                previousPaths.set(path, previousPath);
+                for (const [id, obj] of Object.entries(this.getPersonObjects(path, birthdayObj.name))) {
+                    birthdayObjects.set(id, obj);
+                }
+                this.fillPerson(path, birthdayObj);
+            } else {
+                for (const [id, obj] of Object.entries(this.getBirthdayObjects(path, birthdayObj.name))) {
+                    birthdayObjects.set(id, obj);
+                }
+                this.fillPathWithBirthday(path, birthdayObj);
+            }
+        }
+
+        // Objects are neither created nor deleted in preview mode
+        const objectMetrics = this.previewMode ? { objectsCreated: 0, objectsDeleted: 0 } : await this.syncBirthdayObjects(birthdayObjects, previousPaths);
+
+        const birthdayTemplates = {
+            withAge: getLocalizedText(this.textLanguage, 'nextTextTemplate', this.config.nextTextTemplate),
+            withoutAge: getLocalizedText(this.textLanguage, 'nextTextTemplateNoAge', this.config.nextTextTemplateNoAge),
+            deceased: getLocalizedText(this.textLanguage, 'memorialBirthdayTemplate', this.config.memorialBirthdayTemplate),
+        };
+
+        // next birthdays (without deceased people by default)
+        await this.fillNextAndNextAfter(
+            '',
+            birthdays.filter((birthday) => this.isNextBirthday(birthday)),
+            birthdayTemplates,
+        );
+
+        await this.fillWindows(birthdays, birthdayTemplates);
+
+        // next significant birthdays (without deceased people by default)
+        const nextSignificant = birthdaysSignificant.filter((birthday) => this.isNextBirthday(birthday));
+        if (nextSignificant.length > 0) {
+            await this.fillAfter('nextSignificant', nextSignificant, nextSignificant[0].daysLeft, birthdayTemplates);
+        }
+
+        // fill month json
+        for (let m = 1; m <= 12; m++) {
+            const monthlyBirthdays = birthdays.filter((birthday) => birthday._birthday.month() + 1 === m); // get all birthdays with same month
+            this.setResultState(`${this.getMonthPath(m)}.json`, JSON.stringify(monthlyBirthdays));
+            this.setResultState(`${this.getMonthPath(m)}.count`, monthlyBirthdays.length);
+        }
+
+        // other event types (e.g. anniversaries)
+        for (const eventType of this.getEventTypes()) {
+            const events = this.birthdays.filter((birthday) => birthday.type === eventType.id && matchesGroups(birthday.groups, summaryGroups));
+
+            this.log.debug(`[fillStates] ${eventType.id}: ${JSON.stringify(events)}`);
+            this.setResultState(`events.${eventType.id}.json`, JSON.stringify(events));
+            this.setResultState(`events.${eventType.id}.count`, events.length);
+
+            await this.fillNextAndNextAfter(`events.${eventType.id}.`, events, { withAge: eventType.nextTextTemplate, withoutAge: '{name}' });
+        }
+
+        // birthdays and memorial days of deceased people
+        const memorials = this.memorials.filter((memorial) => matchesGroups(memorial.groups, summaryGroups));
+        const memorialBirthdayTemplate = getLocalizedText(this.textLanguage, 'memorialBirthdayTemplate', this.config.memorialBirthdayTemplate);
+
+        this.log.debug(`[fillStates] memorials: ${JSON.stringify(memorials)}`);
+        this.setResultState('memorial.json', JSON.stringify(memorials));
+        this.setResultState('memorial.count', memorials.length);
+
+        if (memorials.length > 0) {
+            await this.fillAfter('memorial.next', memorials, memorials[0].daysLeft, {
+                withAge: memorialBirthdayTemplate,
+                withoutAge: memorialBirthdayTemplate,
+                memorialDay: getLocalizedText(this.textLanguage, 'memorialDayTemplate', this.config.memorialDayTemplate),
+            });
+        }
+
+        // name days of known people (and names of today)
+        if (this.config.namedayCalendar) {
+            this.namedays.sort((a, b) => (a.daysLeft > b.daysLeft ? 1 : -1));
+
+            const namedays = this.namedays.filter((nameday) => matchesGroups(nameday.groups, summaryGroups));
+            const namesOfToday = getNamesOfDay(loadNamedayCalendar(this.config.namedayCalendar), this.today.month() + 1, this.today.date());
+
+            this.log.debug(`[fillStates] name days: ${JSON.stringify(namedays)}`);
+            this.setResultState('nameday.today', namesOfToday.join(', '));
+            this.setResultState('nameday.json', JSON.stringify(namedays));
+            this.setResultState('nameday.count', namedays.length);
+
+            if (namedays.length > 0) {
+                await this.fillAfter('nameday.next', namedays, namedays[0].daysLeft, { withAge: '{name}', withoutAge: '{name}' });
+            }
+        }
+
+        await this.fillGroups(birthdayTemplates);
+
+        if (!this.previewMode) {
+            const stateMetrics = await this.writeResultStates();
+
+            await this.fillSyncMetrics({ ...objectMetrics, ...stateMetrics, duration: Date.now() - start });
+        }
+    }
+
+    /**
+     * Channel per group with all birthdays of the group (independent of the summary groups)
+     *
+     * @param {{ withAge: string, withoutAge: string }} templates
+     */
+    async fillGroups(templates) {
+        const birthdays = this.birthdays.filter((birthday) => this.isListedBirthday(birthday));
+
+        /** @type {Map<string, string>} group names by id ("Family" and "family" share the same channel) */
+        const groups = new Map();
+        for (const group of mergeGroups(...birthdays.map((birthday) => birthday.groups))) {
+            const id = this.cleanNamespace(group);
+            if (id && !groups.has(id)) {
+                groups.set(id, group);
+            }
+        }
+
+        for (const [id, name] of groups) {
+            const groupBirthdays = birthdays.filter((birthday) => birthday.groups.some((group) => this.cleanNamespace(group) === id));
+
+            if (!this.previewMode) {
+                await this.createGroupObjects(`groups.${id}`, name);
+            }
+
+            this.log.debug(`[fillGroups] ${id}: ${JSON.stringify(groupBirthdays)}`);
+            this.setResultState(`groups.${id}.json`, JSON.stringify(groupBirthdays));
+            this.setResultState(`groups.${id}.count`, groupBirthdays.length);
+
+            const nextGroupBirthdays = groupBirthdays.filter((birthday) => this.isNextBirthday(birthday));
+            if (nextGroupBirthdays.length > 0) {
+                await this.fillAfter(`groups.${id}.next`, nextGroupBirthdays, nextGroupBirthdays[0].daysLeft, templates);
+            }
+        }
+
+        // Delete removed groups
+        const groupIds = [...groups.keys()].map((id) => `groups.${id}`);
+        const allGroups = this.previewMode ? [] : (await this.getChannelsOfAsync('groups')).map((obj) => this.removeNamespace(obj._id)).filter((id) => /^groups\.[^.]+$/.test(id));
+
+        for (const groupId of allGroups) {
+            if (!groupIds.includes(groupId)) {
+                await this.delObjectAsync(groupId, { recursive: true });
+                this.log.debug(`[fillGroups] group deleted: ${groupId}`);
+            }
+        }
+    }
+
+    /**
+     * @param {string} path
+     * @param {string} name
+     */
+    async createGroupObjects(path, name) {
+        await this.extendObjectAsync(path, {
+            type: 'channel',
+            common: {
+                name,
+            },
+            native: {},
+        });
+
+        await this.setObjectNotExistsAsync(`${path}.count`, {
+            type: 'state',
+            common: {
+                name: {
+                    en: 'Number of birthdays',
+                    de: 'Anzahl der Geburtstage',
+                    ru: 'Количество дней рождения',
+                    pt: 'Número de aniversários',
+                    nl: 'Aantal verjaardagen',
+                    fr: `Nombre d'anniversaires`,
+                    it: 'Numero di compleanni',
+                    es: 'Número de cumpleaños',
+                    pl: 'Liczba urodzin',
+                    uk: 'Кількість днів народження',
+                    'zh-cn': '生日数量',
+                },
+                type: 'number',
+                role: 'value',
+                read: true,
+                write: false,
+            },
+            native: {},
+        });
+
+        await this.setObjectNotExistsAsync(`${path}.json`, {
+            type: 'state',
+            common: {
+                name: {
+                    en: 'Birthdays JSON',
+                    de: 'Geburtstage JSON',
+                    ru: 'Дни рождения JSON',
+                    pt: 'JSON de aniversários',
+                    nl: 'Verjaardagen JSON',
+                    fr: 'Anniversaires JSON',
+                    it: 'Compleanni JSON',
+                    es: 'Cumpleaños JSON',
+                    pl: 'Urodziny JSON',
+                    uk: 'Дні народження JSON',
+                    'zh-cn': '生日 JSON',
+                },
+                type: 'string',
+                role: 'json',
+                read: true,
+                write: false,
+            },
+            native: {},
+        });
+
+        await this.createNextObjects(`${path}.next`, {
+            en: 'Next birthdays',
+            de: 'Nächste Geburtstage',
+            ru: 'Следующие дни рождения',
+            pt: 'Próximos aniversários',
+            nl: 'Volgende verjaardagen',
+            fr: 'Prochains anniversaires',
+            it: 'Prossimi compleanni',
+            es: 'Próximos cumpleaños',
+            pl: 'Następne urodziny',
+            uk: 'Наступні дні народження',
+            'zh-cn': '下一个生日',
+        });
+    }
+
+    async fillNextAndNextAfter(prefix, birthdays, templates) {
+        if (birthdays.length > 0) {
+            const nextBirthdayDaysLeft = birthdays[0].daysLeft;
+
+            await this.fillAfter(`${prefix}next`, birthdays, nextBirthdayDaysLeft, templates);
+
+            const nextAfterBirthdaysList = birthdays.filter((birthday) => birthday.daysLeft > nextBirthdayDaysLeft);
+            if (nextAfterBirthdaysList.length > 0) {
+                const nextAfterBirthdaysLeft = nextAfterBirthdaysList[0].daysLeft;
+
+                await this.fillAfter(`${prefix}nextAfter`, birthdays, nextAfterBirthdaysLeft, templates);
+            }
+        }
+    }
+
+    async fillWindows(birthdays, templates) {
+        for (const window of this.getWindows()) {
+            const windowBirthdays = getWindowBirthdays(birthdays, window);
+
+            const windowBirthdaysText = windowBirthdays.map((birthday) => {
+                if (window.template) {
+                    return this.renderText(window.template, this.getTemplateVariables(birthday), BIRTHDAY_TEMPLATE, '{name}');
+                }
+
+                return this.getBirthdayText(birthday, templates);
+            });
+
+            this.setResultState(`${window.id}.json`, JSON.stringify(windowBirthdays));
+            this.setResultState(`${window.id}.text`, windowBirthdaysText.join(this.config.nextSeparator));
+            this.setResultState(`${window.id}.count`, windowBirthdays.length);
+            this.setResultState(`${window.id}.active`, windowBirthdays.length > 0);
+        }
+    }
+
+    async fillAfter(path, birthdays, daysLeft, templates) {
+        this.log.debug(`[fillAfter] filling ${path} with ${daysLeft} days left`);
+
+        const nextBirthdays = birthdays.filter((birthday) => birthday.daysLeft == daysLeft); // get all birthdays with same days left
+
+        const nextBirthdaysText = nextBirthdays.map((birthday) => this.getBirthdayText(birthday, templates));
+
+        const birthdayDate = this.today.clone().add(daysLeft, 'days');
+
+        const text = this.renderText(
+            this.config.nextListTemplate,
+            {
+                list: nextBirthdaysText.join(this.config.nextSeparator),
+                count: nextBirthdays.length,
+                date: this.formatDate(birthdayDate.toDate()),
+                dateLong: birthdayDate.clone().locale(this.textLanguage).format('LL'),
+                weekday: birthdayDate.clone().locale(this.textLanguage).format('dddd'),
+                month: birthdayDate.clone().locale(this.textLanguage).format('MMMM'),
+                daysLeft,
+                today: daysLeft === 0,
+                tomorrow: daysLeft === 1,
+            },
+            LIST_TEMPLATE,
+            '{list}',
+        );
+
+        this.setResultState(`${path}.json`, JSON.stringify(nextBirthdays));
+        this.setResultState(`${path}.daysLeft`, daysLeft);
+        this.setResultState(`${path}.text`, text);
+
+        this.setResultState(`${path}.date`, birthdayDate.valueOf());
+        this.setResultState(`${path}.dateFormat`, this.formatDate(birthdayDate.toDate()));
+    }
+
+    /**
+     * @param {any} birthday entry of birthdays, significant birthdays or memorials
+     * @param {{ withAge: string, withoutAge: string, memorialDay?: string, deceased?: string }} templates (deceased: birthdays of deceased people)
+     * @returns {string}
+     */
+    getBirthdayText(birthday, templates) {
+        if (birthday.occasion === 'memorialDay') {
+            return this.renderText(templates.memorialDay ?? '', this.getTemplateVariables(birthday), BIRTHDAY_TEMPLATE, '{name}');
+        } else if (birthday.deceased && templates.deceased) {
+            return this.renderText(templates.deceased, this.getTemplateVariables(birthday), BIRTHDAY_TEMPLATE, '{name}');
+        } else if (birthday.age === null) {
+            return this.renderText(templates.withoutAge, this.getTemplateVariables(birthday), BIRTHDAY_TEMPLATE, '{name}');
+        }
+
+        return this.renderText(templates.withAge, this.getTemplateVariables(birthday), BIRTHDAY_TEMPLATE, '{name} ({age})');
+    }
+
+    /**
+     * Objects are created by syncBirthdayObjects
+     *
+     * @param {string} path
+     * @param {any} birthdayObj
+     */
+    fillPathWithBirthday(path, birthdayObj) {
+        this.log.debug(`[fillPathWithBirthday] path: "${path}", birthday: ${JSON.stringify(birthdayObj)}`);
+
+        const birthday = birthdayObj._birthday;
+
+        this.setResultState(`${path}.name`, birthdayObj.name);
+        this.setResultState(`${path}.age`, birthdayObj.age);
+        this.setResultState(`${path}.currentAge`, birthdayObj.currentAgeText);
+        this.setResultState(`${path}.day`, birthday.date());
+        this.setResultState(`${path}.year`, birthdayObj.birthYear);
+        this.setResultState(`${path}.daysLeft`, birthdayObj.daysLeft);
+        this.setResultState(`${path}.nextNameday`, birthdayObj.nextNameday ?? null);
+        this.setResultState(`${path}.source`, birthdayObj.source);
+        this.setResultState(`${path}.sourceLabel`, birthdayObj.sourceLabel);
+    }
+
+    /**
+     * @param {string} path
+     * @param {string} name
+     * @returns {Record<string, any>} objects of a birthday (month.MM.<id>) by id
+     */
+    getBirthdayObjects(path, name) {
+        return {
+            [path]: {
+                type: 'channel',
+                common: {
+                    name,
+                },
+                native: {},
+            },
+            [`${path}.name`]: {
+                type: 'state',
+                common: {
+                    name: {
+                        en: 'Name',
+                        de: 'Name',
+                        ru: 'Имя',
+                        pt: 'Nome',
+                        nl: 'Naam',
+                        fr: 'Nom',
+                        it: 'Nome',
+                        es: 'Nombre',
+                        pl: 'Nazwa',
+                        uk: "Ім'я",
+                        'zh-cn': '姓名',
+                    },
+                    type: 'string',
+                    role: 'text',
+                    read: true,
+                    write: false,
+                },
+                native: {},
+            },
+            [`${path}.age`]: {
+                type: 'state',
+                common: {
+                    name: {
+                        en: 'Age',
+                        de: 'Alter',
+                        ru: 'Возраст',
+                        pt: 'Era',
+                        nl: 'Leeftijd',
+                        fr: 'Âge',
+                        it: 'Età',
+                        es: 'La edad',
+                        pl: 'Wiek',
+                        uk: 'Вік',
+                        'zh-cn': '年龄',
+                    },
+                    type: 'number',
+                    role: 'value',
+                    read: true,
+                    write: false,
+                },
+                native: {},
+            },
+            [`${path}.currentAge`]: {
+                type: 'state',
+                common: {
+                    name: {
+                        en: 'Current age as text',
+                        de: 'Aktuelles Alter als Text',
+                        ru: 'Текущий возраст как текст',
+                        pt: 'Idade atual como texto',
+                        nl: 'Current leeftijd als tekst',
+                        fr: 'Âge actuel du texte',
+                        it: 'Età attuale come testo',
+                        es: 'Edad actual como texto',
+                        pl: 'Aktualny wiek jako tekst',
+                        uk: 'Поточний вік як текст',
+                        'zh-cn': '目前的案文',
+                    },
+                    type: 'string',
+                    role: 'text',
+                    read: true,
+                    write: false,
+                },
+                native: {},
+            },
+            [`${path}.day`]: {
+                type: 'state',
+                common: {
+                    name: {
+                        en: 'Day of month',
+                        de: 'Monatstag',
+                        ru: 'День месяца',
+                        pt: 'Dia do mês',
+                        nl: 'Dag van de maand',
+                        fr: 'Jour du mois',
+                        it: 'Giorno del mese',
+                        es: 'Dia del mes',
+                        pl: 'Dzień miesiąca',
+                        uk: 'День місяця',
+                        'zh-cn': '每月的第几天',
+                    },
+                    type: 'number',
+                    role: 'value',
+                    read: true,
+                    write: false,
+                },
+                native: {},
+            },
+            [`${path}.year`]: {
+                type: 'state',
+                common: {
+                    name: {
+                        en: 'Birth year',
+                        de: 'Geburtsjahr',
+                        ru: 'Год рождения',
+                        pt: 'Ano de Nascimento',
+                        nl: 'Geboortejaar',
+                        fr: 'Année de naissance',
+                        it: 'Anno di nascita',
+                        es: 'Año de nacimiento',
+                        pl: 'Rok urodzenia',
+                        uk: 'Рік народження',
+                        'zh-cn': '出生年',
+                    },
+                    type: 'number',
+                    role: 'value',
+                    read: true,
+                    write: false,
+                },
+                native: {},
+            },
+            [`${path}.daysLeft`]: {
+                type: 'state',
+                common: {
+                    name: {
+                        en: 'Days left',
+                        de: 'Tage übrig',
+                        ru: 'Осталось дней',
+                        pt: 'Dias restantes',
+                        nl: 'Dagen over',
+                        fr: 'Jours restants',
+                        it: 'Giorni rimasti',
+                        es: 'Días restantes',
+                        pl: 'Pozostałe dni',
+                        uk: 'Днів зліва',
+                        'zh-cn': '剩余天数',
+                    },
+                    type: 'number',
+                    role: 'value',
+                    read: true,
+                    write: false,
+                },
+                native: {},
+            },
+            [`${path}.nextNameday`]: {
+                type: 'state',
+                common: {
+                    name: {
+                        en: 'Next name day',
+                        de: 'Nächster Namenstag',
+                        ru: 'Следующие именины',
+                        pt: 'Próximo dia onomástico',
+                        nl: 'Volgende naamdag',
+                        fr: 'Prochaine fête du prénom',
+                        it: 'Prossimo onomastico',
+                        es: 'Próximo onomástico',
+                        pl: 'Następne imieniny',
+                        uk: 'Наступні іменини',
+                        'zh-cn': '下一个命名日',
+                    },
+                    type: 'string',
+                    role: 'text',
+                    read: true,
+                    write: false,
+                },
+                native: {},
+            },
+            [`${path}.source`]: {
+                type: 'state',
+                common: {
+                    name: {
+                        en: 'Source',
+                        de: 'Quelle',
+                        ru: 'Источник',
+                        pt: 'Fonte',
+                        nl: 'Bron',
+                        fr: 'Source',
+                        it: 'Fonte',
+                        es: 'Fuente',
+                        pl: 'Źródło',
+                        uk: 'Джерело',
+                        'zh-cn': '来源',
+                    },
+                    type: 'string',
+                    role: 'text',
+                    read: true,
+                    write: false,
+                },
+                native: {},
+            },
+            [`${path}.sourceLabel`]: {
+                type: 'state',
+                common: {
+                    name: {
+                        en: 'Source label',
+                        de: 'Bezeichnung der Quelle',
+                        ru: 'Название источника',
+                        pt: 'Rótulo da fonte',
+                        nl: 'Naam van de bron',
+                        fr: 'Libellé de la source',
+                        it: 'Etichetta della fonte',
+                        es: 'Etiqueta de la fuente',
+                        pl: 'Etykieta źródła',
+                        uk: 'Назва джерела',
+                        'zh-cn': '来源标签',
+                    },
+                    type: 'string',
+                    role: 'text',
+                    read: true,
+                    write: false,
+                },
+                native: {},
+            },
+        };
+    }
+
+    /**
+     * @param {string} path persons.<id>
+     * @param {any} birthdayObj
+     */
+    fillPerson(path, birthdayObj) {
+        const birthday = birthdayObj._birthday;
+        const nextBirthday = birthdayObj._nextBirthday;
+
+        this.setResultState(`${path}.name`, birthdayObj.name);
+        this.setResultState(`${path}.date`, birthday.format(birthdayObj.birthYear ? 'YYYY-MM-DD' : '--MM-DD'));
+        this.setResultState(`${path}.month`, birthday.month() + 1);
+        this.setResultState(`${path}.nextDate`, nextBirthday.valueOf());
+        this.setResultState(`${path}.weekday`, nextBirthday.clone().locale(this.textLanguage).format('dddd'));
+        this.setResultState(`${path}.age`, birthdayObj.age);
+        this.setResultState(`${path}.currentAge`, birthdayObj.currentAgeText);
+        this.setResultState(`${path}.daysLeft`, birthdayObj.daysLeft);
+        this.setResultState(`${path}.nextNameday`, birthdayObj.nextNameday ?? null);
+        this.setResultState(`${path}.source`, birthdayObj.source);
+        this.setResultState(`${path}.sourceLabel`, birthdayObj.sourceLabel);
+    }
+
+    /**
+     * @param {string} path persons.<id>
+     * @param {string} name
+     * @returns {Record<string, any>} same objects as in month (date instead of day and year)
+     */
+    getPersonObjects(path, name) {
+        const objects = this.getBirthdayObjects(path, name);
+
+        delete objects[`${path}.day`];
+        delete objects[`${path}.year`];
+
+        return {
+            ...objects,
+            [`${path}.date`]: {
+                type: 'state',
+                common: {
+                    name: {
+                        en: 'Date (YYYY-MM-DD or --MM-DD)',
+                        de: 'Datum (YYYY-MM-DD oder --MM-DD)',
+                        ru: 'Дата (YYYY-MM-DD или --MM-DD)',
+                        pt: 'Data (YYYY-MM-DD ou --MM-DD)',
+                        nl: 'Datum (YYYY-MM-DD of --MM-DD)',
+                        fr: 'Date (YYYY-MM-DD ou --MM-DD)',
+                        it: 'Data (YYYY-MM-DD o --MM-DD)',
+                        es: 'Fecha (YYYY-MM-DD o --MM-DD)',
+                        pl: 'Data (YYYY-MM-DD lub --MM-DD)',
+                        uk: 'Дата (YYYY-MM-DD або --MM-DD)',
+                        'zh-cn': '日期（YYYY-MM-DD 或 --MM-DD）',
+                    },
+                    type: 'string',
+                    role: 'text',
+                    read: true,
+                    write: false,
+                },
+                native: {},
+            },
+            [`${path}.month`]: {
+                type: 'state',
+                common: {
+                    name: {
+                        en: 'Month',
+                        de: 'Monat',
+                        ru: 'Месяц',
+                        pt: 'Mês',
+                        nl: 'Maand',
+                        fr: 'Mois',
+                        it: 'Mese',
+                        es: 'Mes',
+                        pl: 'Miesiąc',
+                        uk: 'Місяць',
+                        'zh-cn': '月',
+                    },
+                    type: 'number',
+                    role: 'value',
+                    min: 1,
+                    max: 12,
+                    read: true,
+                    write: false,
+                },
+                native: {},
+            },
+            [`${path}.nextDate`]: {
+                type: 'state',
+                common: {
+                    name: {
+                        en: 'Next date',
+                        de: 'Nächstes Datum',
+                        ru: 'Следующая дата',
+                        pt: 'Próxima data',
+                        nl: 'Volgende datum',
+                        fr: 'Prochaine date',
+                        it: 'Prossima data',
+                        es: 'Próxima fecha',
+                        pl: 'Następna data',
+                        uk: 'Наступна дата',
+                        'zh-cn': '下一个日期',
+                    },
+                    type: 'number',
+                    role: 'date',
+                    read: true,
+                    write: false,
+                },
+                native: {},
+            },
+            [`${path}.weekday`]: {
+                type: 'state',
+                common: {
+                    name: {
+                        en: 'Weekday of the next date',
+                        de: 'Wochentag des nächsten Datums',
+                        ru: 'День недели следующей даты',
+                        pt: 'Dia da semana da próxima data',
+                        nl: 'Weekdag van de volgende datum',
+                        fr: 'Jour de la semaine de la prochaine date',
+                        it: 'Giorno della settimana della prossima data',
+                        es: 'Día de la semana de la próxima fecha',
+                        pl: 'Dzień tygodnia następnej daty',
+                        uk: 'День тижня наступної дати',
+                        'zh-cn': '下一个日期的星期',
+                    },
+                    type: 'string',
+                    role: 'text',
+                    read: true,
+                    write: false,
+                },
+                native: {},
+            },
+        };
+    }
+
+    getMonthPath(m) {
+        return getMonthPath(m);
+    }
+
+    getMonthTranslation(moment, locale) {
+        const momentCopy = moment.clone();
+        momentCopy.locale(locale);
+
+        return momentCopy.format('MMMM');
+    }
+
+    getCurrentAgeAsText(birthdayObj) {
+        const { years, months, days } = getAge(birthdayObj._birthday, this.today, this.config.leapDayPolicy);
+
+        return this.renderText(
+            getLocalizedText(this.textLanguage, 'currentAgeTemplate', this.config.currentAgeTemplate),
+            { ...this.getTemplateVariables(birthdayObj), years, months, days },
+            CURRENT_AGE_TEMPLATE,
+            getLocalizedText(this.textLanguage, 'currentAgeTemplate', ''),
+        );
+    }
+
+    /**
+     * @param {any} birthdayObj entry of birthdays or significant birthdays
+     * @returns {Record<string, any>}
+     */
+    getTemplateVariables(birthdayObj) {
+        /** @type {moment.Moment} */
+        const nextBirthday = birthdayObj._nextBirthday.clone().locale(this.textLanguage);
+
+        return {
+            name: birthdayObj.name,
+            age: birthdayObj.age,
+            birthYear: birthdayObj.birthYear,
+            date: this.formatDate(nextBirthday.toDate()),
+            dateLong: nextBirthday.format('LL'),
+            weekday: nextBirthday.format('dddd'),
+            month: nextBirthday.format('MMMM'),
+            daysLeft: birthdayObj.daysLeft,
+            today: birthdayObj.daysLeft === 0,
+            tomorrow: birthdayObj.daysLeft === 1,
+            source: birthdayObj.sourceLabel,
+            sourceType: birthdayObj.source,
+            group: (birthdayObj.groups ?? []).join(', '),
+            type: birthdayObj.type ?? 'birthday',
+            deceased: !!birthdayObj.deceased,
+            deathDate: birthdayObj._death && hasDeathDay(birthdayObj._death) && birthdayObj._death.year ? this.formatDate(toMoment(birthdayObj._death).toDate()) : birthdayObj.deathDate ?? '',
+            ageAtDeath: birthdayObj.ageAtDeath ?? null,
+            yearsSincePassing: birthdayObj.yearsSincePassing ?? null,
+        };
+    }
+
+    /**
+     * Renders the template - falls back to the default template if the template is invalid
+     *
+     * @param {string} template
+     * @param {Record<string, any>} variables
+     * @param {import('./lib/template').TemplateOptions} options
+     * @param {string} defaultTemplate
+     * @returns {string}
+     */
+    renderText(template, variables, options, defaultTemplate) {
+        options = { ...options, locale: this.textLanguage };
+
+        try {
+            return renderTemplate(template || defaultTemplate, variables, options).trim();
+        } catch (err) {
+            if (!this.invalidTemplates.includes(template)) {
+                this.invalidTemplates.push(template);
+                this.log.warn(`invalid template "${template}": ${err.message} - using "${defaultTemplate}"`);
+            }
+
+            return renderTemplate(defaultTemplate, variables, options).trim();
+        }
+    }
+
+    /**
+     * @param {Record<string, any>} templates
+     * @returns {string[]} errors
+     */
+    validateTemplates(templates) {
+        const errors = [];
+
+        const check = (label, template, options) => {
+            const error = template ? validateTemplate(template, options) : null;
+            if (error) {
+                errors.push(`${label}: ${error}`);
+            }
+        };
+
+        check('nextTextTemplate', templates.nextTextTemplate, BIRTHDAY_TEMPLATE);
+        check('nextTextTemplateNoAge', templates.nextTextTemplateNoAge, BIRTHDAY_TEMPLATE);
+        check('nextListTemplate', templates.nextListTemplate, LIST_TEMPLATE);
+        check('currentAgeTemplate', templates.currentAgeTemplate, CURRENT_AGE_TEMPLATE);
+        check('memorialBirthdayTemplate', templates.memorialBirthdayTemplate, BIRTHDAY_TEMPLATE);
+        check('memorialDayTemplate', templates.memorialDayTemplate, BIRTHDAY_TEMPLATE);
+        check('icalExportSummaryTemplate', templates.icalExportSummaryTemplate, BIRTHDAY_TEMPLATE);
+        check('icalExportSummaryTemplateNoAge', templates.icalExportSummaryTemplateNoAge, BIRTHDAY_TEMPLATE);
+
+        for (const eventType of Array.isArray(templates.eventTypes) ? templates.eventTypes : []) {
+            check(`${eventType.type}`, eventType.nextTextTemplate, BIRTHDAY_TEMPLATE);
+        }
+
+        (Array.isArray(templates.reminders) ? templates.reminders : []).forEach((reminder, index) => {
+            check(`reminder ${index + 1}`, reminder.template, BIRTHDAY_TEMPLATE);
+        });
+
+        return errors;
+    }
+
+    cleanNamespace(id) {
+        return cleanNamespace(id);
+    }
+
+    removeNamespace(id) {
+        const re = new RegExp(this.namespace + '*\\.', 'g');
+        return id.replace(re, '');
+    }
+
+    /**
+     * @returns {import('./lib/reminders').Reminder[]}
+     */
+    getReminders() {
+        return parseReminders(this.config.reminders);
+    }
+
+    getRemindersHour() {
+        return parseRemindersHour(this.config.remindersHour);
+    }
+
+    /**
+     * Runs of refresh and timer are queued - every run reads and writes reminders.sent
+     *
+     * @returns {Promise<void>}
+     */
+    runReminders() {
+        const promise = Promise.allSettled([this.remindersPromise])
+            .then(() => this.sendReminders())
+            .finally(() => {
+                if (this.remindersPromise === promise) {
+                    this.remindersPromise = null;
+                }
+            });
+
+        this.remindersPromise = promise;
+
+        return promise;
+    }
+
+    /**
+     * Sends reminders of all configured lead times (every reminder is only sent once)
+     */
+    async sendReminders() {
+        const reminders = this.getReminders();
+        if (reminders.length === 0) {
+            return;
+        }
+
+        if (moment().hour() < this.getRemindersHour()) {
+            this.log.debug(`[reminders] waiting until ${this.getRemindersHour()}:00`);
+            return;
+        }
+
+        /** @type {Record<string, number>} */
+        let sent = {};
+
+        try {
+            // Forget reminders older than one year
+            const sentState = await this.getStateAsync('reminders.sent');
+            sent = parseSentReminders(sentState?.val, moment().subtract(1, 'year').valueOf());
+        } catch (err) {
+            this.log.warn(`[reminders] unable to parse sent reminders: ${err}`);
+        }
+
+        for (const reminder of reminders) {
+            const birthdays = (reminder.scope === 'significant' ? this.birthdaysSignificant : this.birthdays).filter((birthday) => this.isListedBirthday(birthday));
+
+            for (const birthday of getDueBirthdays(birthdays, reminder)) {
+                const key = getReminderKey(birthday, reminder);
+
+                if (sent[key]) {
+                    this.log.debug(`[reminders] already sent: ${key}`);
+                    continue;
+                }
+
+                if (await this.sendNotification(reminder.instance, this.getReminderText(reminder, birthday), reminder.recipient)) {
+                    sent[key] = Date.now();
+                }
+            }
+        }
+
+        await this.setStateAsync('reminders.sent', { val: JSON.stringify(sent), ack: true });
+    }
+
+    getReminderText(reminder, birthday) {
+        const defaultTemplate = getLocalizedText(this.textLanguage, 'reminderTemplate', '');
+
+        return this.renderText(getLocalizedText(this.textLanguage, 'reminderTemplate', reminder.template), this.getTemplateVariables(birthday), BIRTHDAY_TEMPLATE, defaultTemplate);
+    }
+
+    /**
+     * @param {string} instance e.g. telegram.0
+     * @param {string} text
+     * @param {string} recipient user, chat id, device, e-mail address or phone number
+     * @returns {Promise<boolean>}
+     */
+    async sendNotification(instance, text, recipient) {
+        const aliveState = await this.getForeignStateAsync(`system.adapter.${instance}.alive`);
+        if (!aliveState || !aliveState.val) {
+            this.log.warn(`[reminders] instance ${instance} is not running - unable to send "${text}"`);
+            return false;
+        }
+
+        const message = getNotificationMessage(instance, text, getLocalizedText(this.textLanguage, 'reminderTitle', ''), recipient);
+
+        this.log.info(`[reminders] sending "${text}" via ${instance}${recipient ? ` to ${recipient}` : ''}`);
+        this.sendTo(instance, 'send', message);
+
+        return true;
+    }
+
+    /**
+     * @param {ioBroker.Message} obj
+     */
+    async onMessage(obj) {
+        if (!obj || !obj.command) {
+            return;
+        }
+
+        this.log.debug(`[onMessage] received command "${obj.command}" with message: ${JSON.stringify(obj.message)}`);
+
+        // Allow short form for single values, e.g. sendTo('birthdays.0', 'get', 'John Doe')
+        const message = typeof obj.message === 'object' && obj.message !== null ? obj.message : { name: obj.message };
+
+        let response;
+        /** @type {import('./lib/settingstable').SettingsRow[] | null} */
+        let settingsBirthdays = null;
+
+        try {
+            // Wait for running refresh (or preview) to get complete data
+            await Promise.allSettled([this.refreshPromise, this.previewPromise]);
+
+            switch (obj.command) {
+                case 'list':
+                    response = { result: this.filterBirthdays(message) };
+                    break;
+                case 'get':
+                    response = { result: this.findBirthday(message) };
+                    break;
+                case 'next': {
+                    const birthdays = this.filterBirthdays(message).filter((birthday) => message.deceased !== undefined || this.isNextBirthday(birthday));
+                    const daysLeft = birthdays.length > 0 ? birthdays[0].daysLeft : null;
+
+                    response = { result: { daysLeft, birthdays: birthdays.filter((birthday) => birthday.daysLeft === daysLeft) } };
+                    break;
+                }
+                case 'add': {
+                    const { birthday, birthdays } = this.addSettingsBirthday(message);
+
+                    response = { result: birthday };
+                    settingsBirthdays = this.setSettingsBirthdays(birthdays);
+                    break;
+                }
+                case 'remove': {
+                    const { removed, birthdays } = this.removeSettingsBirthdays(message);
+
+                    response = { result: removed };
+                    settingsBirthdays = this.setSettingsBirthdays(birthdays);
+                    break;
+                }
+                case 'refresh':
+                    response = { result: { count: await this.refresh() } };
+                    break;
+                case 'exportSettings':
+                    response = await this.exportSettingsBirthdays(message);
+                    break;
+                case 'importSettings':
+                    response = this.importSettingsBirthdays(message);
+                    break;
+                case 'preview':
+                    response = await this.previewReferenceDate(message);
+                    break;
+                case 'validateTemplates': {
+                    const errors = this.validateTemplates(message);
+                    response = errors.length > 0 ? { error: errors.join('\n') } : { result: 'all templates are valid' };
+                    break;
+                }
+                default:
+                    response = { error: `unknown command "${obj.command}"` };
+            }
+        } catch (err) {
+            this.log.debug(`[onMessage] ${obj.command} failed: ${err.message}`);
+            response = { error: err.message };
+        }
+
+        if (obj.callback) {
+            this.sendTo(obj.from, obj.command, response, obj.callback);
+        }
+
+        if (settingsBirthdays) {
+            // Saves the settings table - the instance is restarted and refreshes all states
+            const birthdays = settingsBirthdays;
+            this.updateConfigPromise = this.updateConfigPromise.then(() => this.updateConfig({ birthdays })).catch((err) => this.log.error(`[onMessage] unable to save settings: ${err}`));
+
+            await this.updateConfigPromise;
+        }
+    }
+
+    /**
+     * Changes of the settings table are kept in memory until the restart (following add/remove messages use the changed table)
+     *
+     * @param {import('./lib/settingstable').SettingsRow[]} birthdays
+     * @returns {import('./lib/settingstable').SettingsRow[]}
+     */
+    setSettingsBirthdays(birthdays) {
+        this.config.birthdays = /** @type {any} */ (birthdays);
+        return birthdays;
+    }
+
+    /**
+     * @param {{ type?: string, month?: number, source?: string, group?: string, deceased?: boolean, minAge?: number, maxAge?: number, minDaysLeft?: number, maxDaysLeft?: number }} filter
+     */
+    filterBirthdays(filter) {
+        const type = filter.type ? this.cleanNamespace(filter.type) : 'birthday';
+
+        return this.birthdays.filter(
+            (birthday) =>
+                (filter.type === '*' || birthday.type === type) &&
+                (filter.deceased === undefined || !!birthday.deceased === !!filter.deceased) &&
+                (filter.month === undefined || birthday._birthday.month() + 1 === Number(filter.month)) &&
+                (!filter.source || birthday.sources.some((source) => source.type === filter.source || source.label === filter.source)) &&
+                matchesGroups(birthday.groups, parseGroups(filter.group)) &&
+                (filter.minAge === undefined || (birthday.age !== null && birthday.age >= Number(filter.minAge))) &&
+                (filter.maxAge === undefined || (birthday.age !== null && birthday.age <= Number(filter.maxAge))) &&
+                (filter.minDaysLeft === undefined || birthday.daysLeft >= Number(filter.minDaysLeft)) &&
+                (filter.maxDaysLeft === undefined || birthday.daysLeft <= Number(filter.maxDaysLeft)),
+        );
+    }
+
+    /**
+     * @param {{ id?: string, name?: string, type?: string }} filter
+     */
+    findBirthday(filter) {
+        let birthday;
+
+        if (filter.id) {
+            birthday = this.birthdays.find((b) => b.id === filter.id);
+        } else if (filter.name) {
+            const name = String(filter.name).trim().toLowerCase();
+            birthday = this.filterBirthdays(filter).find((b) => b.name.toLowerCase() === name);
+        } else {
+            throw new Error(`id or name is required`);
+        }
+
+        if (!birthday) {
+            throw new Error(`no birthday found for ${filter.id ? `id "${filter.id}"` : `name "${filter.name}"`}`);
+        }
+
+        return birthday;
+    }
+
+    /**
+     * @param {{ name?: string, id?: string, day?: number, month?: number, year?: number, type?: string, group?: string, deathDate?: string }} message
+     * @returns {{ birthday: import('./lib/settingstable').SettingsRow, birthdays: import('./lib/settingstable').SettingsRow[] }} added row and new settings table
+     */
+    addSettingsBirthday(message) {
+        /** @type {import('./lib/settingstable').SettingsRow} */
+        const birthday = {
+            name: String(message.name ?? '').trim(),
+            type: message.type ? String(message.type) : 'birthday',
+            day: parseInt(String(message.day)),
+            month: parseInt(String(message.month)),
+            year: message.year ? parseInt(String(message.year)) : null,
+            ...(message.group ? { group: parseGroups(message.group).join(', ') } : {}),
+            ...(message.deathDate ? { deathDate: String(message.deathDate).trim() } : {}),
+            ...(message.id ? { id: String(message.id).trim() } : {}),
+        };
+
+        this.parseSettingsBirthday(birthday);
+
+        /** @type {import('./lib/settingstable').SettingsRow[]} */
+        const birthdays = Array.isArray(this.config.birthdays) ? [...this.config.birthdays] : [];
+        if (birthdays.some((b) => b.name === birthday.name && b.day == birthday.day && b.month == birthday.month && (b.type || 'birthday') === birthday.type)) {
+            throw new Error(`${birthday.type} of "${birthday.name}" already exists in settings`);
+        }
+
+        birthdays.push(birthday);
+
+        return { birthday, birthdays };
+    }
+
+    /**
+     * @param {{ name?: string, day?: number, month?: number, type?: string }} message
+     * @returns {{ removed: import('./lib/settingstable').SettingsRow[], birthdays: import('./lib/settingstable').SettingsRow[] }} removed rows and new settings table
+     */
+    removeSettingsBirthdays(message) {
+        const name = String(message.name ?? '')
+            .trim()
+            .toLowerCase();
+        if (!name) {
+            throw new Error(`name is required`);
+        }
+
+        /** @type {import('./lib/settingstable').SettingsRow[]} */
+        const birthdays = Array.isArray(this.config.birthdays) ? this.config.birthdays : [];
+        const matches = (b) =>
+            String(b.name).trim().toLowerCase() === name &&
+            (message.day === undefined || b.day == message.day) &&
+            (message.month === undefined || b.month == message.month) &&
+            (message.type === undefined || (b.type || 'birthday') === message.type);
+
+        const removed = birthdays.filter(matches);
+        if (removed.length === 0) {
+            throw new Error(`no birthday found in settings for name "${message.name}"`);
+        }
+
+        return { removed, birthdays: birthdays.filter((b) => !matches(b)) };
+    }
+
+    /**
+     * Export of the settings table (admin) - the file is written to the file storage of the instance
+     *
+     * @param {{ format?: string, birthdays?: Array<{ name: string, type?: string, day: number, month: number, year?: number | null }> }} message
+     */
+    async exportSettingsBirthdays(message) {
+        const format = message.format === 'json' || message.format === 'vcf' ? message.format : 'csv';
+        const birthdays = Array.isArray(message.birthdays) ? message.birthdays : Array.isArray(this.config.birthdays) ? this.config.birthdays : [];
+        const { data, skipped } = exportRows(
+            birthdays.filter((birthday) => birthday.name),
+            format,
+        );
+
+        if (skipped.length > 0) {
+            this.log.info(`[export] ${skipped.length} entries with custom event types are not supported by vCards: ${skipped.map((birthday) => birthday.name).join(', ')}`);
+        }
+
+        const fileName = `export/birthdays.${format}`;
+
+        await this.createFileStorage();
+        await this.writeFileAsync(this.namespace, fileName, data);
+
+        this.log.debug(`[export] exported ${birthdays.length - skipped.length} entries to ${this.namespace}/${fileName}`);
+
+        return { openUrl: `files/${this.namespace}/${fileName}`, window: '_blank' };
+    }
+
+    /**
+     * Import into the settings table (admin) - returns the new table for the admin form (the configuration is saved by the user)
+     *
+     * @param {{ data?: string, format?: string, mode?: string, preview?: boolean, birthdays?: Array<{ name: string, type?: string, day: number, month: number, year?: number | null }> }} message
+     */
+    importSettingsBirthdays(message) {
+        const data = String(message.data ?? '');
+        if (!data.trim()) {
+            throw new Error(`no data to import - paste CSV, JSON or vCard data`);
+        }
+
+        const format = message.format === 'csv' || message.format === 'json' || message.format === 'vcf' ? message.format : detectFormat(data);
+        const mode = message.mode === 'update' || message.mode === 'replace' ? message.mode : 'add';
+
+        /** @type {import('./lib/fileimport').ImportRow[]} */
+        let importRows;
+        if (format === 'vcf') {
+            importRows = this.vCardsToImportRows(data);
+        } else if (format === 'json') {
+            importRows = jsonToImportRows(data);
+        } else {
+            importRows = csvToImportRows(parseCsv(data), {});
+        }
+
+        const valid = [];
+        const errors = [];
+
+        importRows.forEach((row, index) => {
+            try {
+                const { type, death } = this.parseSettingsBirthday(row);
+                const group = parseGroups(row.group).join(', ');
+                valid.push({
+                    name: row.name,
+                    ...(row.uid ? { id: row.uid } : {}),
+                    type,
+                    ...(group ? { group } : {}),
+                    ...(death ? { deathDate: formatDeathDate(death) } : {}),
+                    day: row.day,
+                    month: row.month,
+                    year: row.year || null,
+                });
+            } catch (err) {
+                errors.push(`row ${index + 1}: ${err.message}`);
+            }
+        });
+
+        const existing = Array.isArray(message.birthdays) ? message.birthdays : Array.isArray(this.config.birthdays) ? this.config.birthdays : [];
+        const { rows, added, updated, unchanged } = mergeRows(existing, valid, mode);
+
+        const result = [
+            `${message.preview ? 'Preview' : 'Imported'} (${format}, mode ${mode}): ${added.length} new, ${updated.length} updated, ${unchanged.length} unchanged, ${errors.length} invalid`,
+            ...added.map((row) => `+ ${row.name} (${row.type})`),
+            ...updated.map((row) => `~ ${row.name} (${row.type})`),
+            ...errors.map((error) => `! ${error}`),
+        ].join('\n');
+
+        this.log.debug(`[import] ${result}`);
+
+        return message.preview ? { native: { _importResult: result } } : { native: { birthdays: rows, _importResult: result } };
+    }
+
+    /**
+     * @param {() => void} callback
+     */
+    onUnload(callback) {
+        try {
+            if (this.refreshTimeout) {
+                clearTimeout(this.refreshTimeout);
+                this.refreshTimeout = null;
+            }
+
+            if (this.remindersTimeout) {
+                clearTimeout(this.remindersTimeout);
+                this.remindersTimeout = null;
+            }
+
             this.log.debug('cleaned everything up...');
             callback();
         } catch (e) {
@@ -5,19 +5,24 @@ const { tests } = require('@iobroker/testing');
 const chai = require('chai');
 const expect = chai.expect;
 
-async function startAdapterAndWaitForStop(harness) {
-    return new Promise((resolve) => {
-        harness.startAdapterAndWait().then(() => {
-            // Wait for adapter stop
-            harness.on('stateChange', async (id, state) => {
-                if (id === `system.adapter.${harness.adapterName}.0.alive` && state && state.val === false) {
-                    setTimeout(() => {
-                        resolve(true);
-                    }, 2000);
-                }
-            });
+async function startAdapterAndWaitForRefresh(harness, timeout = 30000) {
+    const start = Date.now();
+
+    await harness.startAdapterAndWait();
+
+    // Wait for the first refresh (adapter keeps running) - info.lastRun is written after every refresh
+    while (Date.now() - start < timeout) {
+        const lastRun = await harness.states.getStateAsync(`${harness.adapterName}.0.info.lastRun`);
+        if (lastRun && Number(lastRun.val) >= start) {
+            return true;
+        }
+
+        await new Promise((resolve) => {
+            setTimeout(resolve, 500);
         });
-    });
+    }
+
+    throw new Error(`no refresh within ${timeout} ms`);
 }
 
 async function assertStateEquals(harness, id, value) {
@@ -49,10 +54,12 @@ tests.integration(path.join(__dirname, '..'), {
                         icalUser: '',
                         icalPassword: '',
                         icalUrlIgnoreCertErrors: false,
+                        icalCalendars: [],
                         carddavUrl: '',
                         carddavUser: '',
                         carddavPassword: '',
                         carddavIgnoreCertErrors: false,
+                        carddavAccounts: [],
                         birthdays: [
                             {
                                 name: 'John Doe',
@@ -77,7 +84,7 @@ tests.integration(path.join(__dirname, '..'), {
                     },
                 });
 
-                return startAdapterAndWaitForStop(harness);
+                return startAdapterAndWaitForRefresh(harness);
             });
 
             it('Check states', async function () {